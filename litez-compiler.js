@@ -0,0 +1,342 @@
+// Ahead-of-time template compiler for LiteZ.
+// Turns template strings and .litez single-file components into plain render
+// functions that call LiteZ.h, so no template has to be parsed at runtime.
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+
+// litez1.js is an ES module, and Node before 20.19 cannot require() one. Evaluating
+// its source instead keeps the compiler require()-able on every supported version.
+const runtimeFile = path.join(__dirname, "litez1.js");
+const LiteZ = vm.runInThisContext(
+  `(function () { "use strict";\n${fs.readFileSync(runtimeFile, "utf8").replace(/^\s*export default LiteZ;\s*$/m, "return LiteZ;")}\n})()`,
+  { filename: runtimeFile, lineOffset: -1 }
+);
+
+/**
+ * @typedef {Object} CompileOptions
+ * @property {string} [scopeId] - value written to data-litez-scope, also exposed as render.scopeId
+ * @property {"esm" | "cjs"} [format] - module format of the generated code (default "esm")
+ * @property {string} [name] - component name used in diagnostics
+ * @property {string[]} [directives] - directives registered at runtime, besides the built-in ones
+ * @property {string[]} [components] - component names registered at runtime; when given, other component tags are reported
+ */
+
+/**
+ * @typedef {Object} CompileResult
+ * @property {string} code - module source exporting the render function
+ * @property {string} scopeId
+ * @property {number} hoisted - number of static subtrees hoisted out of render
+ * @property {Error[]} diagnostics - warnings with reason, severity, loc and frame
+ */
+
+const HELPERS = `function _x(L, fn, source) {
+  try {
+    return L.unref(fn());
+  } catch (e) {
+    if (L.errorHandler) L.errorHandler(e);
+    else console.warn(\`Invalid expression: \${source}\`, e);
+    return undefined;
+  }
+}`;
+
+const BLOCKED_KEYS = ["constructor", "__proto__", "prototype", "__defineGetter__", "__defineSetter__", "__lookupGetter__", "__lookupSetter__"];
+
+const str = (value) => JSON.stringify(value);
+
+function generateExpression(node, scopeVar, params = new Set()) {
+  const gen = (child, local = params) => generateExpression(child, scopeVar, local);
+  const list = (nodes) => nodes.map((child) => (child.type === "Spread" ? `...(${gen(child.argument)})` : gen(child))).join(", ");
+  const memberKey = (member, chain = "?.") => {
+    if (member.computed) return `${chain}[_L.safeKey(${gen(member.property)})]`;
+    const key = member.property.value;
+    if (BLOCKED_KEYS.includes(key)) throw new Error(`Access to "${key}" is not allowed in expressions`);
+    return /^[A-Za-z_$][\w$]*$/.test(key) ? `${chain || "."}${key}` : `${chain}[${str(key)}]`;
+  };
+  switch (node.type) {
+    case "Literal":
+      return node.value === undefined ? "undefined" : str(node.value);
+    case "Template":
+      return `(${node.parts.map((part) => (typeof part === "string" ? str(part) : `String(_L.unref(${gen(part)}) ?? "")`)).join(" + ") || '""'})`;
+    case "Identifier":
+      if (BLOCKED_KEYS.includes(node.name)) throw new Error(`Access to "${node.name}" is not allowed in expressions`);
+      return params.has(node.name) ? `_p_${node.name}` : `_L.resolveName(${str(node.name)}, ${scopeVar})`;
+    case "Member":
+      return `(${gen(node.object)})${memberKey(node)}`;
+    case "Call":
+      if (node.callee.type === "Member") return `(${gen(node.callee.object)})${memberKey(node.callee)}${node.optional ? "?." : ""}(${list(node.arguments)})`;
+      return `(${gen(node.callee)})${node.optional ? "?." : ""}(${list(node.arguments)})`;
+    case "Unary":
+      return `(${node.operator === "typeof" ? "typeof " : node.operator}(${gen(node.argument)}))`;
+    case "Binary":
+    case "Logical":
+      return `((${gen(node.left)}) ${node.operator} (${gen(node.right)}))`;
+    case "Conditional":
+      return `((${gen(node.test)}) ? (${gen(node.consequent)}) : (${gen(node.alternate)}))`;
+    case "Array":
+      return `[${list(node.elements)}]`;
+    case "Object":
+      return `({ ${node.properties.map((property) => `[_L.safeKey(${gen(property.key)})]: ${gen(property.value)}`).join(", ")} })`;
+    case "Filter":
+      return `_L.resolveFilter(${str(node.name)}, ${scopeVar}).call(_L, _L.unref(${gen(node.input)})${node.arguments.length ? `, ${list(node.arguments)}` : ""})`;
+    case "Assignment":
+    case "Update": {
+      const target = node.type === "Update" ? node.argument : node.target;
+      if (target.type === "Identifier" && !params.has(target.name)) {
+        const read = gen(target);
+        const write = (value) => `_L.assignName(${scopeVar}, ${str(target.name)}, ${value})`;
+        const step = node.operator === "++" ? "+" : "-";
+        if (node.type === "Update") return node.prefix ? write(`+(${read}) ${step} 1`) : `((_v) => (${write(`_v ${step} 1`)}, _v))(+(${read}))`;
+        if (node.operator === "=") return write(gen(node.value));
+        if (["&&=", "||=", "??="].includes(node.operator)) return `((${read}) ${node.operator.slice(0, -1)} ${write(gen(node.value))})`;
+        return write(`(${read}) ${node.operator.slice(0, -1)} (${gen(node.value)})`);
+      }
+      const ref = target.type === "Identifier" ? `_p_${target.name}` : `(${gen(target.object)})${memberKey(target, "")}`;
+      if (node.type === "Update") return node.prefix ? `(${node.operator}${ref})` : `(${ref}${node.operator})`;
+      return `(${ref} ${node.operator} (${gen(node.value)}))`;
+    }
+    case "Sequence":
+      return `(${node.expressions.map((expression) => gen(expression)).join(", ")})`;
+    case "Arrow": {
+      const local = new Set([...params, ...node.params]);
+      return `((${node.params.map((param) => `_p_${param}`).join(", ")}) => ${gen(node.body, local)})`;
+    }
+    default:
+      throw new Error(`Unsupported expression node "${node.type}"`);
+  }
+}
+
+/**
+ * Compiles a template string into the source of a module exporting a render function.
+ * The render function is called with `this` bound to LiteZ and the component context.
+ * @param {string} template
+ * @param {CompileOptions} [options]
+ * @returns {CompileResult}
+ */
+function compile(template, { scopeId = `litez-${Math.random().toString(36).slice(2)}`, format = "esm", name = "", directives = [], components = null } = {}) {
+  let root;
+  try {
+    root = LiteZ.transformTemplate(LiteZ.parseTemplate(template), scopeId);
+  } catch (e) {
+    throw e.loc ? LiteZ.templateDiagnostic(e.reason || e.message, { loc: e.loc, template, component: name }) : e;
+  }
+  const kebab = (tag) => tag.replace(/([a-z0-9])([A-Z])/g, "$1-$2").toLowerCase();
+  const isDirective = (directive) => !!LiteZ.resolveDirective(directive) || directives.map(kebab).includes(kebab(directive));
+  const isComponent = components && ((tag) => components.map(kebab).includes(tag));
+  const diagnostics = LiteZ.checkTemplate(root, null, isDirective, isComponent).map(({ message, loc, severity = "warning" }) =>
+    LiteZ.templateDiagnostic(message, { loc, template, component: name, severity })
+  );
+  const error = diagnostics.find((diagnostic) => diagnostic.severity === "error");
+  if (error) throw error;
+  const hoisted = [];
+  let scopeCount = 0;
+  let onceCount = 0;
+
+  const expression = (source, scopeVar) => `_x(_L, () => ${generateExpression(LiteZ.parseExpression(source), scopeVar)}, ${str(source)})`;
+  const children = (nodes, scopeVar) => {
+    const items = nodes.map((child) => generate(child, scopeVar));
+    const nested = nodes.some((child) => ["if", "for", "once", "slot"].includes(child.type));
+    return `[${items.join(", ")}]${nested ? ".flat()" : ""}`;
+  };
+  const element = (node, scopeVar) => {
+    const tag = node.is ? `_t${++scopeCount}` : str(node.tag);
+    const props = Object.entries(node.props).map(([key, value]) => [key, str(value)]);
+    const setProp = (key, code) => {
+      const existing = props.find(([name]) => name === key);
+      if (existing) existing[1] = code;
+      else props.push([key, code]);
+    };
+    for (const binding of node.bindings) {
+      if (binding.kind === "model") continue;
+      const value = expression(binding.expr, scopeVar);
+      if (binding.kind === "class") setProp("class", `_L.normalizeClass(${value})`);
+      else if (binding.kind === "style") {
+        const style = props.find(([name]) => name === "style")?.[1];
+        setProp("style", `_L.normalizeStyle(${style ? `[${style}, ${value}]` : value})`);
+      } else if (binding.kind === "show") {
+        const style = props.find(([name]) => name === "style")?.[1];
+        const hidden = style === undefined ? str("display: none") : style.startsWith('"') ? str(`${JSON.parse(style)}; display: none`) : `(${style} ? ${style} + "; display: none" : "display: none")`;
+        setProp("style", `(${value} ? ${style || '""'} : ${hidden})`);
+      } else setProp(binding.name, value);
+    }
+    const handlers = {};
+    for (const event of node.events) {
+      const eventScope = `_s${++scopeCount}`;
+      const handler = event.expr ? `($event) => { const ${eventScope} = Object.create(${scopeVar}, { $event: { value: $event } }); return ${expression(event.expr, eventScope)}; }` : "null";
+      if (!handlers[event.name]) handlers[event.name] = [];
+      handlers[event.name].push(`_L.withModifiers(${handler}, ${str(event.modifiers)})`);
+    }
+    Object.entries(handlers).forEach(([name, codes]) => setProp(`@${name}`, codes.length === 1 ? codes[0] : `[${codes.join(", ")}]`));
+    if (node.ref) setProp("z-ref", `_ctx.refs && { name: ${str(node.ref.name)}, inFor: ${node.ref.inFor}, refs: _ctx.refs }`);
+    if (node.directives?.length) {
+      const bindings = node.directives.map(
+        ({ name, arg, modifiers, expr }) =>
+          `{ dir: _L.resolveDirective(${str(name)}), value: ${expr === null ? "undefined" : expression(expr, scopeVar)}, arg: ${str(arg)}, modifiers: ${str(modifiers)}, instance: _ctx }`
+      );
+      setProp("z-directives", `[${bindings.join(", ")}].filter((binding) => binding.dir)`);
+    }
+    let propsCode = props.length ? `{ ${props.map(([key, code]) => `${str(key)}: ${code}`).join(", ")} }` : "{}";
+    for (const binding of node.bindings.filter((candidate) => candidate.kind === "model")) {
+      const modelScope = `_s${++scopeCount}`;
+      const assign = `($event) => { const ${modelScope} = Object.create(${scopeVar}, { $event: { value: $event } }); return ${expression(`${binding.expr} = $event`, modelScope)}; }`;
+      propsCode = `_L.modelProps(${propsCode}, { tag: ${tag}, component: ${!!node.slots}, name: ${str(binding.name)}, value: ${expression(binding.expr, scopeVar)}, assign: ${assign}, modifiers: ${str(binding.modifiers)} })`;
+    }
+    const key = node.key && typeof node.key === "object" ? expression(node.key.expr, scopeVar) : str(node.key);
+    if (!node.slots) return `_L.h(${tag}, ${propsCode}, ${children(node.children, scopeVar)}, ${key}, ${node.flags})`;
+    const slotFn = ({ pattern, children: content }) => {
+      const slotScope = `_s${++scopeCount}`;
+      const bind = pattern ? `_L.bindPattern(${str(pattern)}, _props, ${slotScope}); ` : "";
+      return `(_props = {}) => { const ${slotScope} = Object.create(${scopeVar}); ${bind}return ${children(content, slotScope)}; }`;
+    };
+    const slots = `{ ${Object.entries(node.slots).map(([name, slot]) => `${str(name)}: ${slotFn(slot)}`).join(", ")} }`;
+    const fallback = node.slots.default ? `(${slotFn(node.slots.default)})()` : "[]";
+    const vnode = `_L.h(${tag}, ${propsCode}, _L.resolveComponent(${tag}) ? ${slots} : ${fallback}, ${key}, ${node.flags})`;
+    return node.is ? `((${tag}) => (${tag} ? ${vnode} : ""))(_L.resolveDynamicComponent(${expression(node.is.expr, scopeVar)}))` : vnode;
+  };
+  const generate = (node, scopeVar) => {
+    switch (node.type) {
+      case "text":
+        return str(node.value);
+      case "interpolation":
+        return `(${node.parts.map((part) => (typeof part === "string" ? str(part) : `_L.toDisplayString(${expression(part.expr, scopeVar)})`)).join(" + ")})`;
+      case "html":
+        return `{ type: "html", value: ${expression(node.expr, scopeVar)}, flags: ${LiteZ.PATCH_FLAGS.TEXT} }`;
+      case "if":
+        return `(${node.branches
+          .map((branch) => (branch.condition === null ? children(branch.children, scopeVar) : `${expression(branch.condition, scopeVar)} ? ${children(branch.children, scopeVar)} : `))
+          .join("")}${node.branches[node.branches.length - 1].condition === null ? "" : "[]"})`;
+      case "for": {
+        const itemScope = `_s${++scopeCount}`;
+        const args = ["_value", "_key", "_index"];
+        const binds = node.aliases.map((alias, i) =>
+          alias.type === "Identifier" ? `${itemScope}[${str(alias.name)}] = ${args[i]};` : `_L.bindPattern(${str(alias)}, ${args[i]}, ${itemScope});`
+        );
+        if (node.aliases.length === 1) binds.push(`${itemScope}.index = _index;`);
+        const rows = `_L.renderList(${expression(node.list, scopeVar)}, (${args.join(", ")}) => {
+    const ${itemScope} = Object.create(${scopeVar});
+    ${binds.join(" ")}
+    return [${node.children.map((child) => generate(child, itemScope)).join(", ")}];
+  })`;
+        const keyed = node.children.some((child) => child.key && typeof child.key === "object");
+        return keyed ? `_L.checkKeys(${rows}, ${str(node.loc)}, ${str(name)})` : rows;
+      }
+      case "slot": {
+        const slotProps = [...Object.entries(node.props).map(([key, value]) => `${str(key)}: ${str(value)}`), ...node.bindings.map((binding) => `${str(binding.name)}: ${expression(binding.expr, scopeVar)}`)];
+        return `_L.renderSlot(_ctx.slots, ${str(node.name)}, ${slotProps.length ? `{ ${slotProps.join(", ")} }` : "{}"}, () => ${children(node.children, scopeVar)})`;
+      }
+      case "once": {
+        const slot = onceCount++;
+        return `(_once[${slot}] || (_once[${slot}] = ${generate(node.node, scopeVar)}))`;
+      }
+      default:
+        if (!node.isStatic) return element(node, scopeVar);
+        hoisted.push(element(node, "_s"));
+        return `(_hoisted_${hoisted.length} || (_hoisted_${hoisted.length} = ${hoisted[hoisted.length - 1]}))`;
+    }
+  };
+
+  const body = root ? generate(root, "_s") : "null";
+  const lines = [HELPERS, ""];
+  hoisted.forEach((_, i) => lines.push(`let _hoisted_${i + 1};`));
+  if (onceCount) lines.push("const _onceCache = new WeakMap();");
+  lines.push(
+    "",
+    "function render(_ctx) {",
+    "  const _L = this;",
+    "  const _s = _L.createRenderScope(_ctx);"
+  );
+  if (onceCount) lines.push("  if (!_onceCache.has(_ctx)) _onceCache.set(_ctx, []);", "  const _once = _onceCache.get(_ctx);");
+  lines.push(`  const _root = ${body};`, '  return (Array.isArray(_root) ? _root[0] : _root) || _L.h("div", {}, "");', "}", `render.scopeId = ${str(scopeId)};`, "");
+  lines.push(format === "cjs" ? "module.exports = render;" : "export default render;");
+  return { code: lines.join("\n") + "\n", scopeId, hoisted: hoisted.length, diagnostics };
+}
+
+/**
+ * Compiles a .litez single-file component into a module exporting the component
+ * options, with `template` replaced by a precompiled render function.
+ * @param {string} source
+ * @param {CompileOptions & { filename?: string }} [options]
+ * @returns {CompileResult}
+ */
+function compileSFC(source, { filename = "component.litez", scopeId, format = "esm", directives, components } = {}) {
+  const templateMatch = source.match(/<template>([\s\S]*)<\/template>/);
+  const scriptMatch = source.match(/<script>([\s\S]*?)<\/script>/);
+  const styleMatch = source.match(/<style(\s+scoped)?>([\s\S]*?)<\/style>/);
+  if (!templateMatch) throw new Error(`${filename}: missing <template> block`);
+
+  const name = path.basename(filename, path.extname(filename));
+  const id = scopeId || `litez-${name}-${hash(source)}`;
+  const templateLine = source.slice(0, templateMatch.index).split("\n").length - 1;
+  const { code: renderCode, hoisted, diagnostics } = compile("\n".repeat(templateLine) + templateMatch[1], { scopeId: id, format: "esm", name, directives, components });
+
+  const script = scriptMatch ? scriptMatch[1].trim() : "";
+  const lines = [renderCode.replace(/\nexport default render;\n$/, "")];
+  if (/^\s*export\s+default\s/m.test(script)) lines.push(script.replace(/^(\s*)export\s+default\s/m, "$1const __component = "));
+  else lines.push(`const __component = (${script || "{}"});`);
+  lines.push("__component.template = render;");
+  if (styleMatch) {
+    lines.push(`__component.styles = ${str(styleMatch[2].trim())};`);
+    lines.push(`__component.scoped = ${!!styleMatch[1]};`);
+  }
+  lines.push(format === "cjs" ? "module.exports = __component;" : "export default __component;");
+  return { code: lines.join("\n") + "\n", scopeId: id, hoisted, diagnostics };
+}
+
+function hash(text) {
+  let h = 5381;
+  for (let i = 0; i < text.length; i++) h = ((h << 5) + h + text.charCodeAt(i)) >>> 0;
+  return h.toString(36);
+}
+
+function formatDiagnostic(file, diagnostic) {
+  if (!diagnostic.loc) return `${file}: ${diagnostic.message}`;
+  const { line, column } = diagnostic.loc;
+  const component = diagnostic.component ? ` (in <${diagnostic.component}>)` : "";
+  return `${file}:${line}:${column}: ${diagnostic.severity || "error"}: ${diagnostic.reason || diagnostic.message}${component}\n${diagnostic.frame}`;
+}
+
+function cli(argv) {
+  const files = [];
+  let outDir = null;
+  let format = "esm";
+  let strict = false;
+  const directives = [];
+  let components = null;
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === "--out-dir") outDir = argv[++i];
+    else if (argv[i] === "--format") format = argv[++i];
+    else if (argv[i] === "--strict") strict = true;
+    else if (argv[i] === "--directive") directives.push(...argv[++i].split(","));
+    else if (argv[i] === "--component") (components ||= []).push(...argv[++i].split(","));
+    else files.push(argv[i]);
+  }
+  if (!files.length) {
+    console.error("Usage: node litez-compiler.js <file.litez | file.html>... [--out-dir dir] [--format esm|cjs] [--strict] [--directive name,...] [--component name,...]");
+    return 1;
+  }
+  let failed = 0;
+  for (const file of files) {
+    try {
+      const source = fs.readFileSync(file, "utf8");
+      const name = path.basename(file, path.extname(file));
+      const { code, diagnostics } = file.endsWith(".litez") ? compileSFC(source, { filename: file, format, directives, components }) : compile(source, { format, name, directives, components });
+      diagnostics.forEach((diagnostic) => console.warn(formatDiagnostic(file, diagnostic)));
+      if (strict && diagnostics.length) {
+        failed++;
+        continue;
+      }
+      const target = path.join(outDir || path.dirname(file), `${name}.js`);
+      fs.mkdirSync(path.dirname(target), { recursive: true });
+      fs.writeFileSync(target, code);
+      console.log(`${file} -> ${target}`);
+    } catch (e) {
+      failed++;
+      console.error(formatDiagnostic(file, e));
+    }
+  }
+  return failed ? 1 : 0;
+}
+
+if (require.main === module) process.exitCode = cli(process.argv.slice(2));
+
+module.exports = { compile, compileSFC, generateExpression };
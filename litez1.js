@@ -16,6 +16,7 @@
  * @property {Object} methods
  * @property {Object} computed
  * @property {Object} on
+ * @property {Object} refs
  * @property {HTMLElement | null} dom
  */
 
@@ -30,13 +31,28 @@ const LiteZ = {
     routes: {},
     store: null,
     directives: {},
+    filters: {},
+    transitions: {},
     events: new Map(),
     errorHandler: null,
     eventMap: new WeakMap(),
     plugins: new Set(),
     updateQueue: new Map(),
     updateScheduled: false,
+    jobQueue: new Set(),
+    preFlushQueue: new Set(),
+    postFlushQueue: new Set(),
+    flushScheduled: false,
+    flushPromise: null,
     _di: new Map(),
+    _targetMap: new WeakMap(),
+    _refOwners: new WeakMap(),
+    _effectStack: [],
+    _activeEffect: null,
+    _activeScope: null,
+    _mountQueue: null,
+    _readonlyMap: new WeakMap(),
+    _expressionCache: new Map(),
     PATCH_FLAGS: {
       TEXT: 1 << 0,
       CLASS: 1 << 1,
@@ -45,17 +61,448 @@ const LiteZ = {
       FULL_PROPS: 1 << 4,
       HYDRATE: 1 << 5,
     },
+    ITERATE_KEY: Symbol("litez.iterate"),
+    expressionGlobals: {
+      Math,
+      Number,
+      String,
+      Boolean,
+      Array,
+      JSON,
+      Date,
+      Intl,
+      parseInt,
+      parseFloat,
+      isNaN,
+      isFinite,
+      encodeURIComponent,
+      decodeURIComponent,
+      undefined,
+      NaN,
+      Infinity,
+    },
+  
+    parseExpression(expression) {
+      const source = String(expression);
+      const cached = this._expressionCache.get(source);
+      if (cached) return cached;
+  
+      const fail = (message, index) => {
+        const error = new Error(`Invalid expression "${source}" at column ${index + 1}: ${message}`);
+        error.expression = source;
+        error.column = index + 1;
+        throw error;
+      };
+  
+      const punctuators = ["===", "!==", "...", "??=", "||=", "&&=", "?.", "??", "**", "==", "!=", "<=", ">=", "&&", "||", "=>", "+=", "-=", "*=", "/=", "%=", "++", "--"];
+      const tokens = [];
+      let i = 0;
+      while (i < source.length) {
+        const ch = source[i];
+        if (/\s/.test(ch)) {
+          i++;
+        } else if (/[0-9]/.test(ch) || (ch === "." && /[0-9]/.test(source[i + 1]))) {
+          const match = source.slice(i).match(/^(?:0[xX][0-9a-fA-F]+|(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?)/);
+          tokens.push({ type: "num", value: Number(match[0]), start: i });
+          i += match[0].length;
+        } else if (/[A-Za-z_$]/.test(ch)) {
+          const match = source.slice(i).match(/^[A-Za-z_$][\w$]*/);
+          tokens.push({ type: "ident", value: match[0], start: i });
+          i += match[0].length;
+        } else if (ch === '"' || ch === "'" || ch === "`") {
+          const start = i;
+          const parts = [];
+          let text = "";
+          i++;
+          while (i < source.length && source[i] !== ch) {
+            if (source[i] === "\\") {
+              const next = source[i + 1];
+              const escapes = { n: "\n", t: "\t", r: "\r", b: "\b", f: "\f", v: "\v", 0: "\0" };
+              if (next === "u") {
+                text += String.fromCharCode(parseInt(source.slice(i + 2, i + 6), 16));
+                i += 6;
+              } else {
+                text += next in escapes ? escapes[next] : next;
+                i += 2;
+              }
+            } else if (ch === "`" && source[i] === "$" && source[i + 1] === "{") {
+              let depth = 1;
+              let j = i + 2;
+              while (j < source.length && depth) {
+                if (source[j] === "{") depth++;
+                else if (source[j] === "}") depth--;
+                j++;
+              }
+              if (depth) fail("Unterminated template literal", start);
+              parts.push(text, this.parseExpression(source.slice(i + 2, j - 1)));
+              text = "";
+              i = j;
+            } else {
+              text += source[i++];
+            }
+          }
+          if (i >= source.length) fail("Unterminated string", start);
+          i++;
+          if (ch === "`") tokens.push({ type: "template", value: [...parts, text], start });
+          else tokens.push({ type: "str", value: text, start });
+        } else {
+          let value = punctuators.find((p) => source.startsWith(p, i));
+          if (value === "?." && /[0-9]/.test(source[i + 2])) value = "?";
+          if (!value) {
+            if (!"+-*/%<>!?:.,()[]{}|=;".includes(ch)) fail(`Unexpected character "${ch}"`, i);
+            value = ch;
+          }
+          tokens.push({ type: "punc", value, start: i });
+          i += value.length;
+        }
+      }
+  
+      let pos = 0;
+      const peek = (offset = 0) => tokens[pos + offset];
+      const is = (value, offset = 0) => peek(offset)?.type === "punc" && peek(offset).value === value;
+      const expect = (value) => {
+        const token = peek();
+        if (!is(value)) fail(token ? `Expected "${value}" but found "${token.value}"` : `Expected "${value}"`, token ? token.start : source.length);
+        pos++;
+        return token;
+      };
+      const precedence = {
+        "??": 1,
+        "||": 2,
+        "&&": 3,
+        "==": 4,
+        "!=": 4,
+        "===": 4,
+        "!==": 4,
+        "<": 5,
+        ">": 5,
+        "<=": 5,
+        ">=": 5,
+        in: 5,
+        "+": 6,
+        "-": 6,
+        "*": 7,
+        "/": 7,
+        "%": 7,
+        "**": 8,
+      };
+      const assignmentOperators = ["=", "+=", "-=", "*=", "/=", "%=", "??=", "||=", "&&="];
+      const checkTarget = (node, token) => {
+        if (node.type !== "Identifier" && (node.type !== "Member" || node.optional)) fail("Invalid assignment target", token.start);
+        return node;
+      };
+  
+      const parseArrowParams = () => {
+        if (peek()?.type === "ident" && is("=>", 1)) return { params: [peek().value], length: 1 };
+        if (!is("(")) return null;
+        const params = [];
+        let j = 1;
+        while (peek(j)?.type === "ident") {
+          params.push(peek(j).value);
+          j++;
+          if (is(",", j)) j++;
+          else break;
+        }
+        return is(")", j) && is("=>", j + 1) ? { params, length: j + 1 } : null;
+      };
+  
+      const parseExpr = () => {
+        const arrow = parseArrowParams();
+        if (arrow) {
+          pos += arrow.length;
+          expect("=>");
+          return { type: "Arrow", params: arrow.params, body: parseExpr() };
+        }
+        const test = parseBinary(0);
+        const token = peek();
+        if (token?.type === "punc" && assignmentOperators.includes(token.value)) {
+          pos++;
+          return { type: "Assignment", operator: token.value, target: checkTarget(test, token), value: parseExpr() };
+        }
+        if (!is("?")) return test;
+        pos++;
+        const consequent = parseExpr();
+        expect(":");
+        return { type: "Conditional", test, consequent, alternate: parseExpr() };
+      };
+  
+      const parseBinary = (minPrecedence) => {
+        let left = parseUnary();
+        for (;;) {
+          const token = peek();
+          const op = token && (token.type === "punc" || (token.type === "ident" && token.value === "in")) ? token.value : null;
+          const prec = precedence[op];
+          if (!prec || prec <= minPrecedence) return left;
+          pos++;
+          const right = parseBinary(op === "**" ? prec - 1 : prec);
+          left = { type: op === "&&" || op === "||" || op === "??" ? "Logical" : "Binary", operator: op, left, right };
+        }
+      };
+  
+      const parseUnary = () => {
+        const token = peek();
+        if (token && ((token.type === "punc" && ["!", "-", "+"].includes(token.value)) || (token.type === "ident" && token.value === "typeof"))) {
+          pos++;
+          return { type: "Unary", operator: token.value, argument: parseUnary() };
+        }
+        if (is("++") || is("--")) {
+          pos++;
+          return { type: "Update", operator: token.value, prefix: true, argument: checkTarget(parseUnary(), token) };
+        }
+        const node = parsePostfix(parsePrimary());
+        if (!is("++") && !is("--")) return node;
+        pos++;
+        return { type: "Update", operator: peek(-1).value, prefix: false, argument: checkTarget(node, peek(-1)) };
+      };
+  
+      const parseArguments = (close) => {
+        const args = [];
+        while (!is(close)) {
+          if (is("...")) {
+            pos++;
+            args.push({ type: "Spread", argument: parseExpr() });
+          } else {
+            args.push(parseExpr());
+          }
+          if (!is(close)) expect(",");
+        }
+        expect(close);
+        return args;
+      };
+  
+      const parsePostfix = (node) => {
+        for (;;) {
+          if (is(".") || is("?.")) {
+            const optional = peek().value === "?.";
+            pos++;
+            if (optional && is("[")) {
+              pos++;
+              node = { type: "Member", object: node, property: parseExpr(), computed: true, optional };
+              expect("]");
+            } else if (optional && is("(")) {
+              pos++;
+              node = { type: "Call", callee: node, arguments: parseArguments(")"), optional };
+            } else {
+              const token = peek();
+              if (token?.type !== "ident") fail("Expected property name", token ? token.start : source.length);
+              pos++;
+              node = { type: "Member", object: node, property: { type: "Literal", value: token.value }, computed: false, optional };
+            }
+          } else if (is("[")) {
+            pos++;
+            node = { type: "Member", object: node, property: parseExpr(), computed: true, optional: false };
+            expect("]");
+          } else if (is("(")) {
+            pos++;
+            node = { type: "Call", callee: node, arguments: parseArguments(")"), optional: false };
+          } else {
+            return node;
+          }
+        }
+      };
+  
+      const parsePrimary = () => {
+        const token = peek();
+        if (!token) fail("Unexpected end of expression", source.length);
+        pos++;
+        if (token.type === "num" || token.type === "str") return { type: "Literal", value: token.value };
+        if (token.type === "template") return { type: "Template", parts: token.value };
+        if (token.type === "ident") {
+          if (token.value === "true") return { type: "Literal", value: true };
+          if (token.value === "false") return { type: "Literal", value: false };
+          if (token.value === "null") return { type: "Literal", value: null };
+          return { type: "Identifier", name: token.value };
+        }
+        if (token.value === "(") {
+          const expr = parseExpr();
+          expect(")");
+          return expr;
+        }
+        if (token.value === "[") return { type: "Array", elements: parseArguments("]") };
+        if (token.value === "{") {
+          const properties = [];
+          while (!is("}")) {
+            const keyToken = peek();
+            let key;
+            if (is("[")) {
+              pos++;
+              key = parseExpr();
+              expect("]");
+            } else if (keyToken && keyToken.type !== "punc" && keyToken.type !== "template") {
+              pos++;
+              key = { type: "Literal", value: String(keyToken.value) };
+            } else {
+              fail("Expected property name", keyToken ? keyToken.start : source.length);
+            }
+            if (keyToken.type === "ident" && (is(",") || is("}"))) {
+              properties.push({ key, value: { type: "Identifier", name: keyToken.value } });
+            } else {
+              expect(":");
+              properties.push({ key, value: parseExpr() });
+            }
+            if (!is("}")) expect(",");
+          }
+          expect("}");
+          return { type: "Object", properties };
+        }
+        return fail(`Unexpected token "${token.value}"`, token.start);
+      };
+  
+      const parseStatement = () => {
+        let node = parseExpr();
+        while (is("|")) {
+          pos++;
+          const token = peek();
+          if (token?.type !== "ident") fail("Expected filter name", token ? token.start : source.length);
+          pos++;
+          let args = [];
+          if (is("(")) {
+            pos++;
+            args = parseArguments(")");
+          }
+          node = { type: "Filter", name: token.value, input: node, arguments: args };
+        }
+        return node;
+      };
+  
+      const statements = [parseStatement()];
+      while (is(";")) {
+        pos++;
+        if (pos < tokens.length) statements.push(parseStatement());
+      }
+      const ast = statements.length === 1 ? statements[0] : { type: "Sequence", expressions: statements };
+      if (pos < tokens.length) fail(`Unexpected token "${peek().value}"`, peek().start);
+      this._expressionCache.set(source, ast);
+      return ast;
+    },
   
     evaluate(expression, state) {
       try {
-        const parts = expression.split(".");
-        let value = state;
-        for (const part of parts) {
-          if (value === null || typeof value !== "object") return undefined;
-          value = value?.[part.trim()];
-          if (value === undefined) return undefined;
-        }
-        return this.unref(value);
+        const SHORT = Symbol("short-circuit");
+        const binaryOperators = {
+          "+": (a, b) => a + b,
+          "-": (a, b) => a - b,
+          "*": (a, b) => a * b,
+          "/": (a, b) => a / b,
+          "%": (a, b) => a % b,
+          "**": (a, b) => a ** b,
+          "==": (a, b) => a == b,
+          "!=": (a, b) => a != b,
+          "===": (a, b) => a === b,
+          "!==": (a, b) => a !== b,
+          "<": (a, b) => a < b,
+          ">": (a, b) => a > b,
+          "<=": (a, b) => a <= b,
+          ">=": (a, b) => a >= b,
+          in: (a, b) => a in b,
+        };
+        const member = (node, scope) => {
+          const object = run(node.object, scope);
+          if (object === SHORT || (node.optional && object == null)) return SHORT;
+          const key = this.safeKey(node.computed ? value(node.property, scope) : node.property.value);
+          return { object, key, value: object == null ? undefined : object[key] };
+        };
+        const assign = (target, scope, update) => {
+          if (target.type === "Identifier") {
+            const name = this.safeKey(target.name);
+            return update(() => this.resolveName(name, scope), (result) => this.assignName(scope, name, result));
+          }
+          const object = value(target.object, scope);
+          const key = this.safeKey(target.computed ? value(target.property, scope) : target.property.value);
+          if (object === null || typeof object !== "object") throw new TypeError(`Cannot assign to "${key}" of ${object}`);
+          return update(() => object[key], (result) => (object[key] = result));
+        };
+        const list = (nodes, scope) => nodes.flatMap((node) => (node.type === "Spread" ? [...value(node.argument, scope)] : [value(node, scope)]));
+        const value = (node, scope) => {
+          const result = run(node, scope);
+          return result === SHORT ? undefined : result;
+        };
+        const run = (node, scope) => {
+          switch (node.type) {
+            case "Literal":
+              return node.value;
+            case "Template":
+              return node.parts.map((part) => (typeof part === "string" ? part : String(this.unref(value(part, scope)) ?? ""))).join("");
+            case "Identifier":
+              return this.resolveName(node.name, scope);
+            case "Member": {
+              const result = member(node, scope);
+              return result === SHORT ? SHORT : result.value;
+            }
+            case "Call": {
+              let fn;
+              let thisArg;
+              if (node.callee.type === "Member") {
+                const result = member(node.callee, scope);
+                if (result === SHORT) return SHORT;
+                fn = result.value;
+                thisArg = result.object;
+              } else {
+                fn = run(node.callee, scope);
+                if (fn === SHORT) return SHORT;
+              }
+              if (node.optional && fn == null) return SHORT;
+              if (typeof fn !== "function") throw new TypeError(`${node.callee.name || node.callee.property?.value || "expression"} is not a function`);
+              if (fn === Function) throw new Error("Calling Function is not allowed in expressions");
+              return fn.apply(thisArg, list(node.arguments, scope));
+            }
+            case "Unary": {
+              const arg = value(node.argument, scope);
+              if (node.operator === "!") return !arg;
+              if (node.operator === "-") return -arg;
+              if (node.operator === "+") return +arg;
+              return typeof arg;
+            }
+            case "Logical": {
+              const left = value(node.left, scope);
+              if (node.operator === "&&") return left && value(node.right, scope);
+              if (node.operator === "||") return left || value(node.right, scope);
+              return left ?? value(node.right, scope);
+            }
+            case "Binary":
+              return binaryOperators[node.operator](value(node.left, scope), value(node.right, scope));
+            case "Conditional":
+              return value(node.test, scope) ? value(node.consequent, scope) : value(node.alternate, scope);
+            case "Assignment":
+              return assign(node.target, scope, (read, write) => {
+                const { operator } = node;
+                if (operator === "=") return write(value(node.value, scope));
+                const current = read();
+                if (operator === "&&=") return current ? write(value(node.value, scope)) : current;
+                if (operator === "||=") return current ? current : write(value(node.value, scope));
+                if (operator === "??=") return current ?? write(value(node.value, scope));
+                return write(binaryOperators[operator.slice(0, -1)](current, value(node.value, scope)));
+              });
+            case "Update":
+              return assign(node.argument, scope, (read, write) => {
+                const current = Number(read());
+                const next = write(node.operator === "++" ? current + 1 : current - 1);
+                return node.prefix ? next : current;
+              });
+            case "Sequence":
+              return node.expressions.reduce((_, expression) => value(expression, scope), undefined);
+            case "Array":
+              return list(node.elements, scope);
+            case "Object": {
+              const result = {};
+              for (const property of node.properties) {
+                result[this.safeKey(value(property.key, scope))] = value(property.value, scope);
+              }
+              return result;
+            }
+            case "Filter":
+              return this.resolveFilter(node.name, scope).call(this, this.unref(value(node.input, scope)), ...list(node.arguments, scope));
+            case "Arrow":
+              return (...args) => {
+                const local = Object.create(scope !== null && typeof scope === "object" ? scope : null);
+                node.params.forEach((param, index) => (local[param] = args[index]));
+                return value(node.body, local);
+              };
+            default:
+              throw new Error(`Unsupported expression node "${node.type}"`);
+          }
+        };
+        return this.unref(value(this.parseExpression(expression), state));
       } catch (e) {
         if (this.errorHandler) this.errorHandler(e);
         else console.warn(`Invalid expression: ${expression}`, e);
@@ -63,20 +510,181 @@ const LiteZ = {
       }
     },
   
-    validate(value, rules) {
+    safeKey(key) {
+      if (["constructor", "__proto__", "prototype", "__defineGetter__", "__defineSetter__", "__lookupGetter__", "__lookupSetter__"].includes(key)) {
+        throw new Error(`Access to "${key}" is not allowed in expressions`);
+      }
+      return key;
+    },
+  
+    resolveName(name, scope) {
+      this.safeKey(name);
+      if (scope !== null && typeof scope === "object" && name in scope) return scope[name];
+      if (name === "LiteZ") return this;
+      if (name === "store") return typeof this.store === "object" ? this.store : undefined;
+      if (Object.prototype.hasOwnProperty.call(this.expressionGlobals, name)) return this.expressionGlobals[name];
+      return undefined;
+    },
+  
+    assignName(scope, name, value) {
+      this.safeKey(name);
+      if (scope === null || typeof scope !== "object") throw new TypeError(`Cannot assign to "${name}"`);
+      let target = scope;
+      while (!this._scopeProxies?.has(target) && !Object.prototype.hasOwnProperty.call(target, name)) {
+        const parent = Object.getPrototypeOf(target);
+        if (parent === null || parent === Object.prototype) break;
+        target = parent;
+      }
+      target[name] = value;
+      return value;
+    },
+  
+    resolveFilter(name, scope) {
+      const local = scope !== null && typeof scope === "object" && "$filters" in scope ? scope.$filters : null;
+      const fn = local?.[name] || this.filters[name];
+      if (typeof fn !== "function") throw new Error(`Unknown filter "${name}"`);
+      return fn;
+    },
+  
+    parsePattern(source) {
+      const text = String(source).trim();
+      let i = 0;
+      const fail = (message) => {
+        throw new Error(`Invalid pattern "${text}" at column ${i + 1}: ${message}`);
+      };
+      const skip = () => {
+        while (/\s/.test(text[i] || "")) i++;
+      };
+      const name = () => {
+        skip();
+        const match = /^[A-Za-z_$][\w$]*/.exec(text.slice(i));
+        if (!match) fail("Expected a name");
+        i += match[0].length;
+        return this.safeKey(match[0]);
+      };
+      const parse = () => {
+        skip();
+        const open = text[i];
+        if (open !== "{" && open !== "[") return { type: "Identifier", name: name() };
+        const close = open === "{" ? "}" : "]";
+        const elements = [];
+        i++;
+        for (skip(); text[i] !== close; skip()) {
+          if (open === "{") {
+            const key = name();
+            skip();
+            if (text[i] === ":") {
+              i++;
+              elements.push({ key, value: parse() });
+            } else {
+              elements.push({ key, value: { type: "Identifier", name: key } });
+            }
+          } else {
+            elements.push(parse());
+          }
+          skip();
+          if (text[i] === ",") i++;
+          else if (text[i] !== close) fail(`Expected "," or "${close}"`);
+        }
+        i++;
+        return open === "{" ? { type: "ObjectPattern", properties: elements } : { type: "ArrayPattern", elements };
+      };
+      const pattern = parse();
+      skip();
+      if (i < text.length) fail(`Unexpected "${text[i]}"`);
+      return pattern;
+    },
+  
+    bindPattern(pattern, value, target) {
+      if (pattern.type === "Identifier") target[pattern.name] = value;
+      else if (pattern.type === "ObjectPattern") pattern.properties.forEach(({ key, value: inner }) => this.bindPattern(inner, value?.[key], target));
+      else pattern.elements.forEach((inner, index) => this.bindPattern(inner, value?.[index], target));
+      return target;
+    },
+  
+    resolveComponent(tag) {
+      if (this.components[tag]) return this.components[tag];
+      const kebab = tag.replace(/([a-z0-9])([A-Z])/g, "$1-$2").toLowerCase();
+      return Object.values(this.components).find((def) => def.name.replace(/([a-z0-9])([A-Z])/g, "$1-$2").toLowerCase() === kebab) || null;
+    },
+  
+    resolveDynamicComponent(value) {
+      if (!value) return null;
+      if (typeof value === "object") {
+        const definition = this.toRaw(value);
+        const entry = Object.entries(this.components).find(([, def]) => def === definition || (definition.createInstance && def.createInstance === definition.createInstance));
+        if (entry) return entry[0];
+        if (typeof definition.name === "string" && this.resolveComponent(definition.name)) return definition.name;
+        const error = new Error(`<component :is> got a definition${definition.name ? ` named "${definition.name}"` : ""} that is not registered with LiteZ.component`);
+        if (this.errorHandler) this.errorHandler(error);
+        else console.error("Dynamic component error:", error);
+        return null;
+      }
+      return this.resolveComponent(value) ? value : String(value).toLowerCase();
+    },
+  
+    renderSlot(slots, name, slotProps, fallback) {
+      const fn = slots?.[name];
+      if (typeof fn === "function") {
+        const content = [fn(slotProps)].flat(Infinity).filter((child) => child !== null && child !== undefined && child !== "");
+        if (content.length) return content;
+      }
+      return fallback ? fallback() : [];
+    },
+  
+    validationMessages: {
+      required: "Required",
+      minValue: "Minimum value: {min}",
+      minLength: "Min length: {min}",
+      maxValue: "Maximum value: {max}",
+      maxLength: "Max length: {max}",
+      pattern: "Invalid format",
+      email: "Invalid email address",
+      url: "Invalid URL",
+      equals: "Must match {equals}",
+      oneOf: "Must be one of: {oneOf}",
+      validator: "Invalid value",
+    },
+  
+    validate(value, rules, values = {}, messages = {}) {
       const errors = [];
       try {
+        const message = (key, params = {}) =>
+          this.i18n.t(messages[key] || messages[key.replace(/(Value|Length)$/, "")] || this.validationMessages[key]).replace(/\{(\w+)\}/g, (match, name) =>
+            name in params ? String(params[name]) : match
+          );
+        const isEmpty = value === undefined || value === null || value === "" || (Array.isArray(value) && !value.length);
         for (const [rule, param] of Object.entries(rules)) {
-          if (rule === "required" && !value) errors.push("Required");
+          if (rule === "required" && param && !value && value !== 0) errors.push(message("required"));
           if (rule === "min" && value !== undefined) {
             const numParam = Number(param);
-            if (typeof value === "number" && value < numParam) errors.push(`Minimum value: ${numParam}`);
-            else if ((typeof value === "string" || Array.isArray(value)) && value.length < numParam) errors.push(`Min length: ${numParam}`);
+            if (typeof value === "number" && value < numParam) errors.push(message("minValue", { min: numParam }));
+            else if ((typeof value === "string" || Array.isArray(value)) && value.length < numParam) errors.push(message("minLength", { min: numParam }));
           }
           if (rule === "max" && value !== undefined) {
             const numParam = Number(param);
-            if (typeof value === "number" && value > numParam) errors.push(`Maximum value: ${numParam}`);
-            else if ((typeof value === "string" || Array.isArray(value)) && value.length > numParam) errors.push(`Max length: ${numParam}`);
+            if (typeof value === "number" && value > numParam) errors.push(message("maxValue", { max: numParam }));
+            else if ((typeof value === "string" || Array.isArray(value)) && value.length > numParam) errors.push(message("maxLength", { max: numParam }));
+          }
+          if (isEmpty) continue;
+          if (rule === "pattern" && !(param instanceof RegExp ? param : new RegExp(param)).test(String(value))) errors.push(message("pattern"));
+          if (rule === "email" && param && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(String(value))) errors.push(message("email"));
+          if (rule === "url" && param) {
+            try {
+              new URL(String(value));
+            } catch (e) {
+              errors.push(message("url"));
+            }
+          }
+          if (rule === "equals" && value !== values[param]) errors.push(message("equals", { equals: param }));
+          if (rule === "oneOf" && !param.includes(value)) errors.push(message("oneOf", { oneOf: param.join(", ") }));
+          if (rule === "validator") {
+            for (const fn of [].concat(param)) {
+              const result = fn(value, values);
+              if (result && typeof result.then === "function") continue;
+              if (result === false) errors.push(message("validator"));
+              else if (typeof result === "string") errors.push(this.i18n.t(result));
+            }
           }
         }
         return errors.length ? errors : null;
@@ -87,11 +695,143 @@ const LiteZ = {
       }
     },
   
+    form({ fields = {}, onSubmit, messages = {} } = {}) {
+      const names = Object.keys(fields);
+      const definitions = {};
+      for (const name of names) {
+        const def = fields[name];
+        definitions[name] = def !== null && typeof def === "object" && ("value" in def || "rules" in def) ? def : { value: def };
+      }
+      const clone = (value) => (value !== null && typeof value === "object" ? JSON.parse(JSON.stringify(value)) : value);
+      const isEqual = (a, b) => Object.is(a, b) || (a !== null && typeof a === "object" && JSON.stringify(a) === JSON.stringify(b));
+  
+      const formState = this.state({
+        fields: Object.fromEntries(
+          names.map((name) => [name, { value: clone(definitions[name].value), errors: [], touched: false, dirty: false, validating: false }])
+        ),
+        submitting: false,
+        submitCount: 0,
+      });
+      const data = formState.get();
+      const values = new Proxy(
+        {},
+        {
+          get: (_, key) => data.fields[key]?.value,
+          has: (_, key) => key in data.fields,
+          ownKeys: () => names,
+          getOwnPropertyDescriptor: (_, key) => (key in data.fields ? { enumerable: true, configurable: true, value: data.fields[key].value } : undefined),
+        }
+      );
+      const pending = {};
+  
+      const validateField = (name) => {
+        const { rules = {} } = definitions[name];
+        const field = data.fields[name];
+        const value = field.value;
+        const { validator, ...syncRules } = rules;
+        const errors = this.validate(value, syncRules, values, { ...messages, ...definitions[name].messages }) || [];
+        const results = [].concat(validator || []).map((fn) => fn(value, values));
+        const fallback = definitions[name].messages?.validator || messages.validator || this.validationMessages.validator;
+        const toMessage = (result) => (result === false ? this.i18n.t(fallback) : typeof result === "string" ? this.i18n.t(result) : null);
+        const token = (pending[name] = {});
+        if (!results.some((result) => result && typeof result.then === "function")) {
+          const nextErrors = [...errors, ...results.map(toMessage).filter(Boolean)];
+          field.errors = nextErrors;
+          field.validating = false;
+          return (token.promise = Promise.resolve(!nextErrors.length));
+        }
+        field.validating = true;
+        const settle = (result) => Promise.resolve(result).catch((e) => (e && e.message) || String(e));
+        return (token.promise = Promise.all(results.map(settle)).then((settled) => {
+          if (pending[name] !== token) return pending[name].promise;
+          const nextErrors = [...errors, ...settled.map(toMessage).filter(Boolean)];
+          field.errors = nextErrors;
+          field.validating = false;
+          return !nextErrors.length;
+        }));
+      };
+  
+      const scope = this.effectScope();
+      const validCheck = scope.run(() => {
+        names.forEach((name) =>
+          this.effect(
+            () => {
+              const field = data.fields[name];
+              field.dirty = !isEqual(field.value, definitions[name].value);
+              validateField(name);
+            },
+            { scheduler: (job) => this.queueJob(job, "pre") }
+          )
+        );
+        return this.computed(() => names.every((name) => !data.fields[name].errors.length && !data.fields[name].validating));
+      });
+  
+      const form = {
+        __litez_raw__: true,
+        state: formState,
+        fields: data.fields,
+        get values() {
+          return Object.fromEntries(names.map((name) => [name, LiteZ.toRaw(data.fields[name].value)]));
+        },
+        get valid() {
+          return validCheck.value;
+        },
+        get dirty() {
+          return names.some((name) => data.fields[name].dirty);
+        },
+        get submitting() {
+          return data.submitting;
+        },
+        get submitCount() {
+          return data.submitCount;
+        },
+        setValue(name, value) {
+          if (data.fields[name]) data.fields[name].value = value;
+        },
+        touch(name) {
+          if (data.fields[name]) data.fields[name].touched = true;
+        },
+        validate(name) {
+          const targets = name ? [name] : names;
+          return Promise.all(targets.map(validateField)).then((results) => results.every(Boolean));
+        },
+        reset() {
+          names.forEach((name) => {
+            Object.assign(data.fields[name], { value: clone(definitions[name].value), touched: false, dirty: false });
+          });
+          data.submitCount = 0;
+        },
+        async submit(event) {
+          event?.preventDefault?.();
+          if (data.submitting) return false;
+          data.submitCount++;
+          names.forEach((name) => (data.fields[name].touched = true));
+          if (!(await form.validate())) return false;
+          data.submitting = true;
+          try {
+            await onSubmit?.(form.values, form);
+            return true;
+          } catch (e) {
+            if (LiteZ.errorHandler) LiteZ.errorHandler(e);
+            else console.error("Form submit error:", e);
+            return false;
+          } finally {
+            data.submitting = false;
+          }
+        },
+        dispose() {
+          scope.stop();
+        },
+      };
+      return form;
+    },
+  
     i18n: {
       locale: "en",
       messages: {},
       t(key) {
         try {
+          LiteZ.track(this, "locale");
           return this.messages[this.locale]?.[key] || key;
         } catch (e) {
           if (LiteZ.errorHandler) LiteZ.errorHandler(e);
@@ -102,7 +842,8 @@ const LiteZ = {
       setLocale(locale, messages) {
         try {
           this.locale = locale;
-          this.messages[locale] = messages;
+          if (messages) this.messages[locale] = messages;
+          LiteZ.trigger(this, "locale");
         } catch (e) {
           if (LiteZ.errorHandler) LiteZ.errorHandler(e);
           else console.error("setLocale error:", e);
@@ -121,11 +862,12 @@ const LiteZ = {
         },
         watch: (callback) => state.watch("value", callback),
         onChange: (listener) => state.onChange(() => listener(state.get().value)),
+        trigger: () => state.trigger("value"),
       };
     },
   
     shallowRef(initial) {
-      const state = this.state({ value: initial });
+      const state = this.state({ value: initial }, { shallow: true });
       return {
         get value() {
           return state.get().value;
@@ -135,6 +877,7 @@ const LiteZ = {
         },
         watch: (callback) => state.watch("value", callback),
         onChange: (listener) => state.onChange(() => listener(state.get().value)),
+        trigger: () => state.trigger("value"),
       };
     },
   
@@ -203,7 +946,25 @@ const LiteZ = {
     },
   
     isReactive(value) {
-      return value && typeof value === "object" && !this.isRef(value) && Object.getPrototypeOf(value) === Proxy.prototype;
+      if (!value || typeof value !== "object" || this.isRef(value)) return false;
+      if (typeof value.get === "function" && typeof value.onChange === "function") return this.isReactive(value.get());
+      return !!value.__litez_reactive__;
+    },
+  
+    isReadonly(value) {
+      if (!value || typeof value !== "object" || this.isRef(value)) return false;
+      if (typeof value.get === "function" && typeof value.onChange === "function") return this.isReadonly(value.get());
+      return !!value.__litez_readonly__;
+    },
+  
+    isShallow(value) {
+      return !!(value && typeof value === "object" && value.__litez_shallow__);
+    },
+  
+    toRaw(value) {
+      let raw = value;
+      while (raw && typeof raw === "object" && raw.__litez_target__) raw = raw.__litez_target__;
+      return raw;
     },
   
     unref(value) {
@@ -211,47 +972,489 @@ const LiteZ = {
     },
   
     triggerRef(ref) {
-      if (ref && "value" in ref) {
+      if (typeof ref?.trigger === "function") {
+        ref.trigger();
+      } else if (ref && "value" in ref) {
         const current = ref.value;
         ref.value = current;
       }
     },
   
-    watch(source, callback) {
-      if (typeof source === "function") {
-        const state = this.state({ value: source() });
-        const unwatch = state.watch("value", callback);
-        state.onChange(() => state.set("value", source()));
-        return unwatch;
-      } else if (source.get && source.watch) {
-        return source.watch("*", callback);
+    effect(fn, options = {}) {
+      const runner = () => {
+        if (!runner.active) return fn();
+        if (this._effectStack.includes(runner)) return;
+        runner.deps.forEach((dep) => dep.delete(runner));
+        runner.deps.length = 0;
+        try {
+          this._effectStack.push(runner);
+          this._activeEffect = runner;
+          return fn();
+        } finally {
+          this._effectStack.pop();
+          this._activeEffect = this._effectStack[this._effectStack.length - 1] || null;
+        }
+      };
+      runner.deps = [];
+      runner.active = true;
+      runner.scheduler = options.scheduler || null;
+      runner.stop = () => {
+        if (!runner.active) return;
+        runner.deps.forEach((dep) => dep.delete(runner));
+        runner.deps.length = 0;
+        runner.active = false;
+        options.onStop?.();
+      };
+      if (this._activeScope) this._activeScope.effects.push(runner);
+      if (!options.lazy) runner();
+      return runner;
+    },
+  
+    untracked(fn) {
+      this._effectStack.push(null);
+      this._activeEffect = null;
+      try {
+        return fn();
+      } finally {
+        this._effectStack.pop();
+        this._activeEffect = this._effectStack[this._effectStack.length - 1] || null;
+      }
+    },
+  
+    effectScope(detached = false) {
+      const scope = {
+        active: true,
+        effects: [],
+        cleanups: [],
+        scopes: [],
+        parent: detached ? null : this._activeScope,
+        run: (fn) => {
+          if (!scope.active) return undefined;
+          const prevScope = this._activeScope;
+          this._activeScope = scope;
+          try {
+            return fn();
+          } finally {
+            this._activeScope = prevScope;
+          }
+        },
+        stop: () => {
+          if (!scope.active) return;
+          scope.active = false;
+          scope.effects.splice(0).forEach((effect) => effect.stop());
+          scope.scopes.splice(0).forEach((child) => child.stop());
+          scope.cleanups.splice(0).forEach((fn) => {
+            try {
+              fn();
+            } catch (e) {
+              if (this.errorHandler) this.errorHandler(e);
+              else console.error("Scope dispose error:", e);
+            }
+          });
+          if (scope.parent) {
+            const index = scope.parent.scopes.indexOf(scope);
+            if (index !== -1) scope.parent.scopes.splice(index, 1);
+          }
+        },
+      };
+      if (scope.parent) scope.parent.scopes.push(scope);
+      return scope;
+    },
+  
+    getCurrentScope() {
+      return this._activeScope;
+    },
+  
+    onScopeDispose(fn) {
+      if (this._activeScope) this._activeScope.cleanups.push(fn);
+      else console.warn("onScopeDispose called without an active effect scope");
+    },
+  
+    track(target, key) {
+      const effect = this._activeEffect;
+      if (!effect) return;
+      let depsMap = this._targetMap.get(target);
+      if (!depsMap) this._targetMap.set(target, (depsMap = new Map()));
+      let dep = depsMap.get(key);
+      if (!dep) depsMap.set(key, (dep = new Set()));
+      if (!dep.has(effect)) {
+        dep.add(effect);
+        effect.deps.push(dep);
+      }
+    },
+  
+    trigger(target, key, type = "set", record = null) {
+      const depsMap = this._targetMap.get(target);
+      if (!depsMap) return;
+      const effects = new Set();
+      const add = (dep) => dep?.forEach((effect) => effect !== this._activeEffect && effects.add(effect));
+      if (type === "clear") {
+        depsMap.forEach(add);
+      } else if (type === "splice") {
+        depsMap.forEach((dep, depKey) => {
+          if (depKey === "length" || depKey === this.ITERATE_KEY || (typeof depKey === "string" && !isNaN(depKey) && Number(depKey) >= record.index)) add(dep);
+        });
+      } else {
+        add(depsMap.get(key));
+      }
+      if (type === "add" || type === "delete" || (type === "set" && Object.prototype.toString.call(target) === "[object Map]")) {
+        add(depsMap.get(Array.isArray(target) ? "length" : this.ITERATE_KEY));
+      }
+      if (Array.isArray(target) && key === "length") {
+        depsMap.forEach((dep, depKey) => {
+          if (typeof depKey === "string" && !isNaN(depKey) && Number(depKey) >= target.length) add(dep);
+        });
+      }
+      effects.forEach((effect) => (effect.scheduler ? effect.scheduler(effect, record) : effect()));
+    },
+  
+    queueJob(job, flush) {
+      if (flush === "sync") return job();
+      const queue = flush === "pre" ? this.preFlushQueue : flush === "post" ? this.postFlushQueue : this.jobQueue;
+      queue.add(job);
+      if (!this.flushScheduled) {
+        this.flushScheduled = true;
+        this.flushPromise = Promise.resolve().then(() => this.flushJobs());
       }
     },
   
-    state(initial = {}) {
+    flushJobs() {
+      const run = (queue) => {
+        for (const job of queue) {
+          queue.delete(job);
+          try {
+            job();
+          } catch (e) {
+            if (this.errorHandler) this.errorHandler(e);
+            else console.error("Scheduled job error:", e);
+          }
+        }
+      };
+      do {
+        run(this.preFlushQueue);
+        run(this.jobQueue);
+        run(this.postFlushQueue);
+      } while (this.preFlushQueue.size || this.jobQueue.size || this.postFlushQueue.size);
+      this.flushScheduled = false;
+    },
+  
+    nextTick(fn) {
+      const promise = this.flushPromise || Promise.resolve();
+      return fn ? promise.then(fn) : promise;
+    },
+  
+    traverse(value, seen = new Set()) {
+      if (value === null || typeof value !== "object" || seen.has(value)) return value;
+      seen.add(value);
+      if (this.isRef(value)) this.traverse(value.value, seen);
+      else if (Array.isArray(value)) value.forEach((item) => this.traverse(item, seen));
+      else if (["[object Map]", "[object Set]"].includes(Object.prototype.toString.call(value))) value.forEach((item) => this.traverse(item, seen));
+      else for (const key in value) this.traverse(value[key], seen);
+      return value;
+    },
+  
+    watch(source, callback, options = {}) {
+      const { immediate = false, once = false, flush = "pre" } = options;
+      const isMulti = Array.isArray(source);
+      const isStateObject = (src) => src && typeof src.get === "function" && typeof src.onChange === "function";
+      const getters = (isMulti ? source : [source]).map((src) => {
+        if (typeof src === "function") return options.deep ? () => this.traverse(src()) : src;
+        if (this.isRef(src)) return options.deep ? () => this.traverse(src.value) : () => src.value;
+        if (isStateObject(src)) return () => this.traverse(src.get());
+        return () => this.traverse(src);
+      });
+      const deep = options.deep || (isMulti ? source : [source]).some((src) => typeof src !== "function" && !this.isRef(src));
+      const getter = isMulti ? () => getters.map((get) => get()) : getters[0];
+  
+      let oldValue;
+      let cleanup = null;
+      const changes = [];
+      const onCleanup = (fn) => (cleanup = fn);
+      const hasChanged = (newValue) =>
+        isMulti ? newValue.some((value, i) => !Object.is(value, oldValue?.[i])) : !Object.is(newValue, oldValue);
+  
+      const job = (force = false) => {
+        if (!runner.active) return;
+        const newValue = runner();
+        const records = changes.splice(0);
+        if (!force && !deep && !hasChanged(newValue)) return;
+        if (cleanup) {
+          cleanup();
+          cleanup = null;
+        }
+        const prev = oldValue;
+        oldValue = newValue;
+        try {
+          callback(newValue, prev, onCleanup, records);
+        } catch (e) {
+          if (this.errorHandler) this.errorHandler(e);
+          else console.error("Watch callback error:", e);
+        }
+        if (once) stop();
+      };
+      const runner = this.effect(getter, {
+        lazy: true,
+        scheduler: (_, record) => {
+          if (record) changes.push(record);
+          this.queueJob(job, flush);
+        },
+        onStop: () => {
+          if (cleanup) {
+            cleanup();
+            cleanup = null;
+          }
+        },
+      });
+      const stop = () => runner.stop();
+  
+      if (immediate) job(true);
+      else oldValue = runner();
+      return stop;
+    },
+  
+    watchEffect(fn, options = {}) {
+      let cleanup = null;
+      const onCleanup = (cleanupFn) => (cleanup = cleanupFn);
+      const runner = this.effect(
+        () => {
+          if (cleanup) {
+            cleanup();
+            cleanup = null;
+          }
+          return fn(onCleanup);
+        },
+        {
+          lazy: true,
+          scheduler: () => this.queueJob(runner, options.flush || "pre"),
+          onStop: () => {
+            if (cleanup) cleanup();
+            cleanup = null;
+          },
+        }
+      );
+      runner();
+      return runner.stop;
+    },
+  
+    state(initial = {}, options = {}) {
       const listeners = new Set();
       const watchers = new Map();
       const seen = new WeakMap();
+      const wrap = (value) => (options.shallow ? value : deepProxy(value));
+      const readFlag = (target, key) => {
+        if (key === "__litez_target__") return target;
+        if (key === "__litez_reactive__") return true;
+        if (key === "__litez_shallow__") return !!options.shallow;
+        return undefined;
+      };
+  
+      const notify = (record) => {
+        listeners.forEach((cb) => cb(record.target, record));
+        watchers.forEach((cb, watchedKey) => {
+          if (watchedKey === record.key || watchedKey === "*") cb(record.value, record.oldValue, record);
+        });
+      };
+  
+      const arrayMutators = ["push", "pop", "shift", "unshift", "splice", "sort", "reverse", "fill", "copyWithin"];
+      const mutateArray = (target, method, getProxy) => (...args) => {
+        const before = target.slice();
+        const result = Array.prototype[method].apply(target, args.map((arg) => LiteZ.toRaw(arg)));
+        let record;
+        if (method === "push") record = { index: before.length, added: args, removed: [] };
+        else if (method === "unshift") record = { index: 0, added: args, removed: [] };
+        else if (method === "pop") record = { index: target.length, added: [], removed: before.length ? [result] : [] };
+        else if (method === "shift") record = { index: 0, added: [], removed: before.length ? [result] : [] };
+        else if (method === "splice") {
+          const start = Number(args[0]) || 0;
+          const index = start < 0 ? Math.max(before.length + start, 0) : Math.min(start, before.length);
+          record = { index, added: args.slice(2), removed: result };
+        } else {
+          const changed = target.length !== before.length || target.some((item, i) => !Object.is(item, before[i]));
+          record = changed ? { index: 0, added: target.slice(), removed: before } : { index: 0, added: [], removed: [] };
+        }
+        if (record.added.length || record.removed.length) {
+          record = { type: "splice", target: getProxy(), ...record };
+          notify(record);
+          LiteZ.trigger(target, "length", "splice", record);
+        }
+        if (result === target) return getProxy();
+        return method === "pop" || method === "shift" ? wrap(result) : result;
+      };
+  
+      const collectionHandlers = (target, getProxy) => {
+        const isMap = typeof target.get === "function";
+        const iterate = (method) => () => {
+          LiteZ.track(target, LiteZ.ITERATE_KEY);
+          const inner = target[method]();
+          const isPair = method === "entries" || (method === Symbol.iterator && isMap);
+          return {
+            next() {
+              const { value, done } = inner.next();
+              if (done) return { value, done };
+              return { value: isPair ? [wrap(value[0]), wrap(value[1])] : wrap(value), done };
+            },
+            [Symbol.iterator]() {
+              return this;
+            },
+          };
+        };
+        const methods = {
+          get: (key) => {
+            key = LiteZ.toRaw(key);
+            LiteZ.track(target, key);
+            return wrap(target.get(key));
+          },
+          has: (key) => {
+            key = LiteZ.toRaw(key);
+            LiteZ.track(target, key);
+            return target.has(key);
+          },
+          set: (key, value) => {
+            key = LiteZ.toRaw(key);
+            value = LiteZ.toRaw(value);
+            const hadKey = target.has(key);
+            const oldValue = target.get(key);
+            target.set(key, value);
+            if (!hadKey || !Object.is(oldValue, value)) {
+              const record = { type: hadKey ? "set" : "add", target: getProxy(), key, value, oldValue };
+              notify(record);
+              LiteZ.trigger(target, key, record.type, record);
+            }
+            return getProxy();
+          },
+          add: (value) => {
+            value = LiteZ.toRaw(value);
+            if (!target.has(value)) {
+              target.add(value);
+              const record = { type: "add", target: getProxy(), key: value, value };
+              notify(record);
+              LiteZ.trigger(target, value, "add", record);
+            }
+            return getProxy();
+          },
+          delete: (key) => {
+            key = LiteZ.toRaw(key);
+            const hadKey = target.has(key);
+            const oldValue = isMap ? target.get(key) : key;
+            const deleted = target.delete(key);
+            if (hadKey) {
+              const record = { type: "delete", target: getProxy(), key, oldValue };
+              notify(record);
+              LiteZ.trigger(target, key, "delete", record);
+            }
+            return deleted;
+          },
+          clear: () => {
+            const hadItems = target.size > 0;
+            target.clear();
+            if (hadItems) {
+              const record = { type: "clear", target: getProxy() };
+              notify(record);
+              LiteZ.trigger(target, null, "clear", record);
+            }
+          },
+          forEach: (callback, thisArg) => {
+            LiteZ.track(target, LiteZ.ITERATE_KEY);
+            target.forEach((value, key) => callback.call(thisArg, wrap(value), wrap(key), getProxy()));
+          },
+          keys: iterate("keys"),
+          values: iterate("values"),
+          entries: iterate("entries"),
+          [Symbol.iterator]: iterate(Symbol.iterator),
+        };
+        return {
+          get(target, key) {
+            const flag = readFlag(target, key);
+            if (flag !== undefined) return flag;
+            if (key === "size") {
+              LiteZ.track(target, LiteZ.ITERATE_KEY);
+              return target.size;
+            }
+            if (Object.prototype.hasOwnProperty.call(methods, key) && key in target) return methods[key];
+            const value = Reflect.get(target, key, target);
+            return typeof value === "function" ? value.bind(target) : value;
+          },
+        };
+      };
+  
+      const dateHandlers = (getProxy) => ({
+        get(target, key) {
+          const flag = readFlag(target, key);
+          if (flag !== undefined) return flag;
+          const value = target[key];
+          if (typeof value !== "function") return value;
+          return (...args) => {
+            const before = target.getTime();
+            const result = value.apply(target, args);
+            const after = target.getTime();
+            if (Object.is(before, after)) {
+              LiteZ.track(target, "time");
+            } else {
+              const record = { type: "set", target: getProxy(), key: "time", value: after, oldValue: before };
+              notify(record);
+              LiteZ.trigger(target, "time", "set", record);
+            }
+            return result;
+          };
+        },
+      });
   
       const deepProxy = (obj) => {
-        if (obj === null || typeof obj !== "object" || obj.__litez_raw__ || !Object.isExtensible(obj)) return obj;
+        if (obj === null || typeof obj !== "object" || obj.__litez_raw__ || obj.__litez_target__ || !Object.isExtensible(obj)) return obj;
         if (seen.has(obj)) return seen.get(obj);
   
         try {
-          const proxy = new Proxy(obj, {
-            set(target, key, value) {
-              const oldValue = target[key];
-              target[key] = deepProxy(value);
-              listeners.forEach((cb) => cb(proxy));
-              watchers.forEach((cb, watchedKey) => {
-                if (watchedKey === key || watchedKey === "*") cb(value, oldValue);
-              });
-              return true;
-            },
-            get(target, key) {
-              return deepProxy(target[key]);
-            },
-          });
+          const getProxy = () => proxy;
+          const rawType = Object.prototype.toString.call(obj).slice(8, -1);
+          const handlers = ["Map", "Set", "WeakMap", "WeakSet"].includes(rawType)
+            ? collectionHandlers(obj, getProxy)
+            : rawType === "Date"
+            ? dateHandlers(getProxy)
+            : {
+                set(target, key, value) {
+                  if (Array.isArray(target) && key === "length" && value < target.length) {
+                    const record = { type: "splice", target: proxy, index: value, added: [], removed: target.slice(value) };
+                    target.length = value;
+                    notify(record);
+                    LiteZ.trigger(target, "length", "splice", record);
+                    return true;
+                  }
+                  const hadKey = Object.prototype.hasOwnProperty.call(target, key);
+                  const oldValue = target[key];
+                  target[key] = LiteZ.toRaw(value);
+                  const record = { type: hadKey ? "set" : "add", target: proxy, key, value, oldValue };
+                  notify(record);
+                  if (!hadKey || !Object.is(oldValue, target[key])) LiteZ.trigger(target, key, record.type, record);
+                  return true;
+                },
+                get(target, key) {
+                  const flag = readFlag(target, key);
+                  if (flag !== undefined) return flag;
+                  if (Array.isArray(target) && arrayMutators.includes(key)) return mutateArray(target, key, getProxy);
+                  LiteZ.track(target, key);
+                  return wrap(target[key]);
+                },
+                has(target, key) {
+                  LiteZ.track(target, key);
+                  return key in target;
+                },
+                ownKeys(target) {
+                  LiteZ.track(target, Array.isArray(target) ? "length" : LiteZ.ITERATE_KEY);
+                  return Reflect.ownKeys(target);
+                },
+                deleteProperty(target, key) {
+                  const hadKey = Object.prototype.hasOwnProperty.call(target, key);
+                  const oldValue = target[key];
+                  const deleted = delete target[key];
+                  if (hadKey && deleted) {
+                    const record = { type: "delete", target: proxy, key, oldValue };
+                    notify(record);
+                    LiteZ.trigger(target, key, "delete", record);
+                  }
+                  return deleted;
+                },
+              };
+          const proxy = new Proxy(obj, handlers);
           seen.set(obj, proxy);
           return proxy;
         } catch (e) {
@@ -266,8 +1469,8 @@ const LiteZ = {
         get: () => proxy,
         set: (key, value) => {
           try {
-            if (typeof key === "object") Object.assign(proxy, deepProxy(key));
-            else proxy[key] = deepProxy(value);
+            if (typeof key === "object") Object.assign(proxy, key);
+            else proxy[key] = value;
           } catch (e) {
             if (this.errorHandler) this.errorHandler(e);
             else console.error("State set error:", e);
@@ -281,57 +1484,117 @@ const LiteZ = {
           watchers.set(key, callback);
           return () => watchers.delete(key);
         },
+        trigger: (key) => {
+          const raw = LiteZ.toRaw(proxy);
+          const record = { type: "set", target: proxy, key, value: raw[key], oldValue: raw[key] };
+          notify(record);
+          LiteZ.trigger(raw, key, "set", record);
+        },
       };
     },
   
-    computed(fn) {
-      const state = this.state({ value: null });
-      const dependencies = new Set();
-      let isDirty = true;
+    shallowReactive(initial) {
+      return this.state(initial, { shallow: true });
+    },
   
-      const tracker = new Proxy(
-        {},
-        {
-          get(_, key) {
-            dependencies.add(key);
-            return LiteZ.evaluate(key, state.get());
-          },
-          set(_, key, value) {
-            state.set(key, value);
-            return true;
-          },
-        }
-      );
+    readonly(target) {
+      const isStateObject = target && typeof target.get === "function" && typeof target.onChange === "function";
+      if (isStateObject) {
+        return {
+          get: () => this.readonly(target.get()),
+          set: (key) => console.warn(`Cannot set "${typeof key === "object" ? Object.keys(key).join(", ") : String(key)}": state is readonly`),
+          onChange: target.onChange,
+          watch: target.watch,
+        };
+      }
+      if (target === null || typeof target !== "object" || target.__litez_readonly__) return target;
+      const cached = this._readonlyMap.get(target);
+      if (cached) return cached;
+  
+      const rawType = Object.prototype.toString.call(this.toRaw(target)).slice(8, -1);
+      const mutators = ["set", "add", "delete", "clear", "push", "pop", "shift", "unshift", "splice", "sort", "reverse", "fill", "copyWithin"];
+      const warn = (key) => console.warn(`Cannot set "${String(key)}": target is readonly`);
+      const proxy = new Proxy(target, {
+        get: (obj, key) => {
+          if (key === "__litez_readonly__") return true;
+          if (key === "__litez_target__") return obj;
+          const isMutator = mutators.includes(key) || (rawType === "Date" && typeof key === "string" && key.startsWith("set"));
+          if (rawType !== "Object" && isMutator && typeof obj[key] === "function") {
+            return () => console.warn(`Cannot call "${String(key)}": target is readonly`);
+          }
+          const value = Reflect.get(obj, key, obj);
+          if (typeof value === "function") {
+            if (rawType === "Object" || rawType === "Array") return value;
+            return (...args) => this.readonly(value.apply(obj, args));
+          }
+          return this.readonly(value);
+        },
+        set: (obj, key) => {
+          warn(key);
+          return true;
+        },
+        deleteProperty: (obj, key) => {
+          warn(key);
+          return true;
+        },
+      });
+      this._readonlyMap.set(target, proxy);
+      return proxy;
+    },
   
-      const compute = () => {
-        if (!isDirty) return state.get().value;
-        const newValue = fn.call(null, tracker);
-        state.set("value", newValue);
-        isDirty = false;
-        return newValue;
-      };
+    computed(getterOrOptions) {
+      const getter = typeof getterOrOptions === "function" ? getterOrOptions : getterOrOptions.get;
+      const setter = typeof getterOrOptions === "function" ? null : getterOrOptions.set;
+      const listeners = new Set();
+      let value;
+      let isDirty = true;
   
-      return {
+      const computedRef = {
         get value() {
-          return compute();
+          if (isDirty) {
+            value = runner();
+            isDirty = false;
+          }
+          LiteZ.track(computedRef, "value");
+          return value;
+        },
+        set value(newVal) {
+          if (setter) setter(newVal);
+          else console.warn("Computed value is readonly");
         },
         onChange: (listener) => {
-          const unwatch = state.onChange(() => {
-            isDirty = true;
-            listener(compute());
-          });
-          return unwatch;
+          listeners.add(listener);
+          return () => listeners.delete(listener);
         },
+        stop: () => runner.stop(),
       };
+  
+      const runner = this.effect(getter, {
+        lazy: true,
+        scheduler: () => {
+          if (isDirty) return;
+          isDirty = true;
+          LiteZ.trigger(computedRef, "value");
+          if (listeners.size) {
+            const newValue = computedRef.value;
+            listeners.forEach((listener) => listener(newValue));
+          }
+        },
+      });
+  
+      return computedRef;
     },
   
-    h(tag, props = {}, children = [], key = null) {
+    h(tag, props = {}, children = [], key = null, flags = 0) {
       try {
         if (!tag || typeof tag !== "string") {
           throw new Error("Tag must be a non-empty string");
         }
+        if (children && typeof children === "object" && !Array.isArray(children) && !children.tag && !children.type) {
+          return { tag, props, children: [], slots: children, key, flags };
+        }
         children = Array.isArray(children) ? children : [children];
-        return { tag, props, children, key, flags: 0 };
+        return { tag, props, children, key, flags };
       } catch (e) {
         if (this.errorHandler) this.errorHandler(e);
         else console.error("VNode creation error:", e);
@@ -363,244 +1626,849 @@ const LiteZ = {
       return { template, ...script, styles, scoped: isScoped };
     },
   
-    compileTemplate(templateString, context) {
-      try {
-        const parser = new DOMParser();
-        const doc = parser.parseFromString(`<template>${templateString}</template>`, "text/html");
-        const root = doc.querySelector("template")?.content;
-        if (!root) throw new Error("Invalid template: no content found");
-  
-        const staticNodes = new Map();
-  
-        const unwrap = (val) => this.unref(val);
-  
-        const parseNode = (node, scopeId, parentDirectives = {}) => {
-          if (node.nodeType === Node.TEXT_NODE) {
-            const text = node.textContent.trim();
-            if (!text) return null;
-            if (parentDirectives["z-pre"]) return { type: "staticText", value: text };
-            if (text.match(/^{{(.+?)}}$/)) {
-              const expr = text.slice(2, -2).trim();
-              return { type: "dynamicText", value: () => unwrap(this.evaluate(expr, context.state.get())), flags: this.PATCH_FLAGS.TEXT };
-            }
-            const dollarMatches = text.match(/\$([a-zA-Z_][a-zA-Z0-9_]*)/g);
-            if (dollarMatches) {
-              let dynamicText = text;
-              dollarMatches.forEach((match) => {
-                const expr = match.slice(1).trim();
-                dynamicText = dynamicText.replace(match, unwrap(this.evaluate(expr, context.state.get())) || "");
-              });
-              return {
-                type: "dynamicText",
-                value: () => {
-                  let result = text;
-                  dollarMatches.forEach((match) => {
-                    const expr = match.slice(1).trim();
-                    result = result.replace(match, unwrap(this.evaluate(expr, context.state.get())) || "");
-                  });
-                  return result;
-                },
-                flags: this.PATCH_FLAGS.TEXT,
-              };
+    parseTemplate(source) {
+      const template = String(source);
+      const voidTags = ["area", "base", "br", "col", "embed", "hr", "img", "input", "link", "meta", "source", "track", "wbr"];
+      const rawTextTags = ["script", "style", "textarea", "title"];
+      const entities = { amp: "&", lt: "<", gt: ">", quot: '"', apos: "'", nbsp: " " };
+      const decode = (text) =>
+        text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, code) =>
+          code[0] !== "#" ? entities[code] ?? match : String.fromCodePoint(code[1].toLowerCase() === "x" ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10))
+        );
+      const locate = (offset) => {
+        const lines = template.slice(0, offset).split("\n");
+        return { offset, line: lines.length, column: lines[lines.length - 1].length + 1 };
+      };
+      const fail = (message, offset) => {
+        const loc = locate(offset);
+        const error = new Error(`${message} at line ${loc.line}, column ${loc.column}`);
+        error.reason = message;
+        error.loc = loc;
+        error.template = template;
+        throw error;
+      };
+  
+      const root = { type: "root", children: [], loc: locate(0) };
+      const stack = [root];
+      const attrPattern = /\s*([^\s"'<>\/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/y;
+      let i = 0;
+      while (i < template.length) {
+        const parent = stack[stack.length - 1];
+        if (template.startsWith("<!--", i)) {
+          const end = template.indexOf("-->", i + 4);
+          if (end === -1) fail("Unterminated comment", i);
+          i = end + 3;
+        } else if (template.startsWith("</", i)) {
+          const match = /^<\/([A-Za-z][\w:.-]*)\s*>/.exec(template.slice(i, i + 200));
+          if (!match) fail("Malformed closing tag", i);
+          if (parent.type === "root" || parent.tag.toLowerCase() !== match[1].toLowerCase()) fail(`Unexpected closing tag </${match[1]}>`, i);
+          parent.loc.end = i + match[0].length;
+          stack.pop();
+          i += match[0].length;
+        } else if (template[i] === "<" && /[A-Za-z]/.test(template[i + 1] || "")) {
+          const start = i;
+          const tag = /^<([A-Za-z][\w:.-]*)/.exec(template.slice(i, i + 200))[1];
+          const attrs = [];
+          i += tag.length + 1;
+          for (;;) {
+            while (/\s/.test(template[i] || "")) i++;
+            if (i >= template.length) fail(`Unterminated tag <${tag}>`, start);
+            if (template[i] === ">" || template.startsWith("/>", i)) break;
+            attrPattern.lastIndex = i;
+            const match = attrPattern.exec(template);
+            if (!match) fail(`Malformed attribute in <${tag}>`, i);
+            attrs.push({ name: match[1], value: decode(match[2] ?? match[3] ?? match[4] ?? ""), loc: locate(i) });
+            i = attrPattern.lastIndex;
+          }
+          const selfClosing = template[i] === "/";
+          i += selfClosing ? 2 : 1;
+          const element = { type: "element", tag, attrs, children: [], loc: { ...locate(start), end: i } };
+          parent.children.push(element);
+          if (selfClosing || voidTags.includes(tag.toLowerCase())) continue;
+          stack.push(element);
+          if (rawTextTags.includes(tag.toLowerCase())) {
+            const close = template.toLowerCase().indexOf(`</${tag.toLowerCase()}`, i);
+            if (close === -1) fail(`Unclosed <${tag}>`, start);
+            const text = template.slice(i, close);
+            if (text) element.children.push({ type: "text", value: ["textarea", "title"].includes(tag.toLowerCase()) ? decode(text) : text, loc: locate(i) });
+            i = close;
+          }
+        } else {
+          const start = i;
+          let j = i + 1;
+          while (j < template.length) {
+            if (template.startsWith("{{", j)) {
+              const close = template.indexOf("}}", j + 2);
+              j = close === -1 ? template.length : close + 2;
+            } else if (template[j] === "<" && /[A-Za-z\/!]/.test(template[j + 1] || "")) {
+              break;
+            } else {
+              j++;
             }
-            if (!staticNodes.has(text)) staticNodes.set(text, text);
-            return { type: "staticText", value: text };
           }
+          if (template.startsWith("{{", start)) {
+            const close = template.indexOf("}}", start + 2);
+            j = Math.max(j, close === -1 ? template.length : close + 2);
+          }
+          parent.children.push({ type: "text", value: decode(template.slice(start, j)), loc: locate(start) });
+          i = j;
+        }
+      }
+      if (stack.length > 1) fail(`Unclosed <${stack[stack.length - 1].tag}>`, stack[stack.length - 1].loc.offset);
+      return root;
+    },
   
-          if (node.nodeType === Node.ELEMENT_NODE) {
-            if (parentDirectives["z-pre"]) {
-              const props = {};
-              const attrs = node.attributes ? Array.from(node.attributes) : [];
-              attrs.forEach((attr) => (props[attr.name] = attr.value));
-              return this.h(node.tagName.toLowerCase(), props, Array.from(node.childNodes).map((child) => parseNode(child, scopeId, parentDirectives)).filter(Boolean));
-            }
+    transformTemplate(ast, scopeId) {
+      const flagsOf = this.PATCH_FLAGS;
+      const fail = (message, loc) => {
+        const error = new Error(`${message} at line ${loc.line}, column ${loc.column}`);
+        error.reason = message;
+        error.loc = loc;
+        throw error;
+      };
+      let chainCount = 0;
+      let forDepth = 0;
+      const transformChildren = (nodes, inPre = false) => {
+        const result = [];
+        let chain = null;
+        for (const child of nodes) {
+          const node = transform(child, inPre);
+          if (!node) continue;
+          if (node.type === "branch") {
+            if (!chain) fail(`${node.directive} without preceding z-if`, node.loc);
+            chain.branches.push(node);
+            if (node.condition === null) chain = null;
+            continue;
+          }
+          chain = node.type === "if" ? node : null;
+          result.push(node);
+        }
+        result.forEach((node) => {
+          if (node.type !== "if") return;
+          const id = chainCount++;
+          node.branches.forEach((branch, i) =>
+            branch.children.forEach((child, j) => {
+              const element = child.type === "once" ? child.node : child;
+              if (element.type === "element" && element.key === null) element.key = `if${id}-${i}${branch.children.length > 1 ? `-${j}` : ""}`;
+            })
+          );
+        });
+        return result;
+      };
+      const transform = (node, inPre = false) => {
+        if (node.type === "text") {
+          const text = inPre ? node.value : node.value.replace(/\s+/g, " ");
+          if (!text.trim()) return null;
+          if (inPre || (!text.includes("{{") && !/\$[a-zA-Z_]/.test(text))) return { type: "text", value: text };
+          const parts = text.includes("{{")
+            ? text.split(/{{([\s\S]+?)}}/).map((part, i) => (i % 2 ? { expr: part.trim() } : part))
+            : text.split(/\$([a-zA-Z_][a-zA-Z0-9_]*)/).map((part, i) => (i % 2 ? { expr: part } : part));
+          return { type: "interpolation", parts: parts.filter((part) => part !== ""), loc: node.loc };
+        }
+        if (node.type !== "element") return null;
+  
+        const tag = node.tag.toLowerCase();
+        if (inPre || node.attrs.some((attr) => attr.name === "z-pre")) {
+          const props = {};
+          node.attrs.forEach((attr) => attr.name !== "z-pre" && (props[attr.name] = attr.value));
+          const children = transformChildren(node.children, true);
+          return { type: "element", tag, props, bindings: [], events: [], children, key: null, flags: 0, isStatic: true, loc: node.loc };
+        }
   
-            const props = { "data-litez-scope": scopeId };
-            const attrs = node.attributes ? Array.from(node.attributes) : [];
-            const directives = {};
-            let flags = 0;
-  
-            attrs.forEach((attr) => {
-              if (attr.name.startsWith("z-bind:") || attr.name.startsWith(":")) {
-                const key = attr.name.startsWith("z-bind:") ? attr.name.slice(7) : attr.name.slice(1);
-                props[key] = () => unwrap(this.evaluate(attr.value, context.state.get()));
-                flags |= key === "class" ? this.PATCH_FLAGS.CLASS : this.PATCH_FLAGS.PROPS;
-              } else if (attr.name.startsWith("bind:")) {
-                const key = attr.name.slice(5);
-                if (key === "class") {
-                  props["class"] = () => {
-                    const classVal = unwrap(this.evaluate(attr.value, context.state.get()));
-                    return typeof classVal === "string"
-                      ? classVal
-                      : Array.isArray(classVal)
-                      ? classVal.join(" ")
-                      : typeof classVal === "object"
-                      ? Object.entries(classVal)
-                          .filter(([, v]) => v)
-                          .map(([k]) => k)
-                          .join(" ")
-                      : "";
-                  };
-                  flags |= this.PATCH_FLAGS.CLASS;
-                } else {
-                  props[key] = () => unwrap(this.evaluate(attr.value, context.state.get()));
-                  flags |= this.PATCH_FLAGS.PROPS;
-                }
-              } else if (attr.name === ":class") {
-                props["class"] = () => {
-                  const classObj = unwrap(this.evaluate(attr.value, context.state.get()));
-                  return classObj ? Object.entries(classObj).filter(([, v]) => v).map(([k]) => k).join(" ") : "";
-                };
-                flags |= this.PATCH_FLAGS.CLASS;
-              } else if (attr.name === "bind-class") {
-                props["class"] = () => {
-                  const classVal = unwrap(this.evaluate(attr.value, context.state.get()));
-                  return typeof classVal === "string"
-                    ? classVal
-                    : Array.isArray(classVal)
-                    ? classVal.join(" ")
-                    : typeof classVal === "object"
-                    ? Object.entries(classVal)
-                        .filter(([, v]) => v)
-                        .map(([k]) => k)
-                        .join(" ")
-                    : "";
-                };
-                flags |= this.PATCH_FLAGS.CLASS;
-              } else if (attr.name.startsWith("z-on:") || attr.name.startsWith("@")) {
-                const [eventPart, ...modifiers] = (attr.name.startsWith("z-on:") ? attr.name.slice(5) : attr.name.slice(1)).split(".");
-                const handler = context.methods[attr.value] || (() => {});
-                props[`@${eventPart}`] = (e) => {
-                  if (modifiers.includes("prevent")) e.preventDefault();
-                  if (modifiers.includes("stop")) e.stopPropagation();
-                  handler(e);
-                };
-              } else if (attr.name === "z-if") {
-                directives["z-if"] = () => unwrap(this.evaluate(attr.value, context.state.get()));
-              } else if (attr.name === "show-when") {
-                directives["show-when"] = () => unwrap(this.evaluate(attr.value, context.state.get()));
-              } else if (attr.name === "z-show") {
-                directives["z-show"] = () => unwrap(this.evaluate(attr.value, context.state.get()));
-              } else if (attr.name === "z-for") {
-                const [item, list] = attr.value.split(" in ").map((s) => s.trim());
-                directives["z-for"] = { item, list };
-              } else if (attr.name === "repeat") {
-                const [item, list] = attr.value.split(" from ").map((s) => s.trim());
-                directives["z-for"] = { item, list };
-              } else if (attr.name === "z-model") {
-                directives["z-model"] = attr.value;
-                flags |= this.PATCH_FLAGS.FULL_PROPS;
-              } else if (attr.name === "z-once") {
-                directives["z-once"] = true;
-              } else if (attr.name === "z-pre") {
-                directives["z-pre"] = true;
-              } else if (attr.name === "z-html") {
-                directives["z-html"] = () => unwrap(this.evaluate(attr.value, context.state.get()));
-                flags |= this.PATCH_FLAGS.TEXT;
-              } else if (attr.name === "set-html") {
-                directives["set-html"] = () => unwrap(this.evaluate(attr.value, context.state.get()));
-                flags |= this.PATCH_FLAGS.TEXT;
-              } else if (attr.name === "set-text") {
-                directives["set-text"] = () => unwrap(this.evaluate(attr.value, context.state.get()));
-                flags |= this.PATCH_FLAGS.TEXT;
-              } else if (attr.name === "z-transition") {
-                directives["z-transition"] = attr.value;
-              } else {
-                props[attr.name] = attr.value;
+        const props = { "data-litez-scope": scopeId };
+        const bindings = [];
+        const events = [];
+        const directives = {};
+        const customDirectives = [];
+        let flags = 0;
+  
+        node.attrs.forEach((attr) => {
+          const { name, value } = attr;
+          if (name === ":key" || name === "z-bind:key" || name === "bind:key") {
+            directives.key = { expr: value, loc: attr.loc };
+          } else if (name.startsWith("z-bind:") || name.startsWith(":") || name.startsWith("bind:") || name === "bind-class") {
+            const key = name === "bind-class" ? "class" : name.slice(name.indexOf(":") + 1);
+            bindings.push({ name: key, expr: value, kind: ["class", "style"].includes(key) ? key : "prop", loc: attr.loc });
+            flags |= key === "class" ? flagsOf.CLASS : key === "style" ? flagsOf.STYLE : flagsOf.PROPS;
+          } else if (name.startsWith("z-on:") || name.startsWith("@")) {
+            const [eventName, ...modifiers] = (name.startsWith("z-on:") ? name.slice(5) : name.slice(1)).split(".");
+            try {
+              events.push({ name: eventName, modifiers, expr: this.handlerExpression(value), loc: attr.loc });
+            } catch (e) {
+              fail(e.message, attr.loc);
+            }
+          } else if (["z-if", "show-when", "z-else-if", "z-else"].includes(name)) {
+            if (directives.if) fail(`${name} cannot be combined with ${directives.if.directive} on the same element`, attr.loc);
+            directives.if = { directive: name, expr: name === "z-else" ? null : value, loc: attr.loc };
+          } else if (name === "z-show") {
+            bindings.push({ name: "style", expr: value, kind: "show", loc: attr.loc });
+            flags |= flagsOf.PROPS;
+          } else if (name === "z-for" || name === "repeat") {
+            const match = (name === "z-for" ? /^\s*([\s\S]+?)\s+(?:in|of)\s+([\s\S]+?)\s*$/ : /^\s*([\s\S]+?)\s+from\s+([\s\S]+?)\s*$/).exec(value);
+            if (!match) fail(`Invalid ${name} expression "${value}"`, attr.loc);
+            const source = match[1].startsWith("(") && match[1].endsWith(")") ? match[1].slice(1, -1) : match[1];
+            const aliases = [];
+            let depth = 0;
+            let start = 0;
+            [...source, ","].forEach((ch, i) => {
+              if ("{[".includes(ch)) depth++;
+              else if ("}]".includes(ch)) depth--;
+              else if (ch === "," && depth === 0) {
+                aliases.push(source.slice(start, i));
+                start = i + 1;
               }
             });
-  
-            const children = Array.from(node.childNodes)
-              .map((child) => parseNode(child, scopeId, directives))
-              .filter(Boolean);
-  
-            if (directives["z-if"]) {
-              return { type: "if", condition: directives["z-if"], children, flags };
-            }
-            if (directives["show-when"]) {
-              return { type: "if", condition: directives["show-when"], children, flags };
-            }
-            if (directives["z-for"]) {
-              return { type: "for", item: directives["z-for"].item, list: directives["z-for"].list, children, flags };
-            }
-            if (directives["z-once"]) {
-              const staticVNode = this.h(node.tagName.toLowerCase(), props, children.map((child) => buildVNode(child)));
-              staticNodes.set(`${scopeId}-${node.tagName}-${children.length}`, staticVNode);
-              return { type: "once", key: `${scopeId}-${node.tagName}-${children.length}`, flags: 0 };
+            if (aliases.length > 3) fail(`Too many aliases in ${name} expression "${value}"`, attr.loc);
+            try {
+              directives.for = { aliases: aliases.map((alias) => this.parsePattern(alias)), list: match[2], loc: attr.loc };
+            } catch (e) {
+              fail(e.message, attr.loc);
             }
   
-            const vnode = this.h(node.tagName.toLowerCase(), props, children);
-            if (directives["z-show"]) props["data-z-show"] = directives["z-show"];
-            if (directives["z-model"]) props["data-z-model"] = directives["z-model"];
-            if (directives["z-html"]) {
-              return { type: "html", value: directives["z-html"], flags: this.PATCH_FLAGS.TEXT };
-            }
-            if (directives["set-html"]) {
-              return { type: "html", value: directives["set-html"], flags: this.PATCH_FLAGS.TEXT };
-            }
-            if (directives["set-text"]) {
-              return { type: "dynamicText", value: directives["set-text"], flags: this.PATCH_FLAGS.TEXT };
+          } else if (name === "z-model" && node.attrs.some((other) => other.name === "z-field")) {
+            props["data-z-model"] = value;
+            flags |= flagsOf.FULL_PROPS;
+          } else if (name === "z-model" || name.startsWith("z-model:") || name.startsWith("z-model.")) {
+            const [directive, ...modifiers] = name.split(".");
+            try {
+              this.parseExpression(`${value} = $event`);
+            } catch (e) {
+              fail(`z-model needs an assignable expression, got "${value}"`, attr.loc);
             }
-            if (directives["z-transition"]) props["data-z-transition"] = directives["z-transition"];
-            if (!Object.keys(directives).length && !children.some((c) => c.type !== "staticText")) {
-              staticNodes.set(vnode, vnode);
+            bindings.push({ name: directive.slice(8) || "modelValue", expr: value, kind: "model", modifiers, loc: attr.loc });
+            flags |= flagsOf.FULL_PROPS;
+          } else if (name === "z-once") {
+            directives.once = true;
+          } else if (name === "z-ref") {
+            if (!/^[A-Za-z_$][\w$]*$/.test(value.trim())) fail(`Invalid z-ref name "${value}"`, attr.loc);
+            directives.ref = { name: value.trim(), loc: attr.loc };
+          } else if (name === "z-html" || name === "set-html") {
+            directives.html = { expr: value, loc: attr.loc };
+          } else if (name === "set-text") {
+            directives.text = { expr: value, loc: attr.loc };
+          } else if (name === "z-slot" || name.startsWith("z-slot:")) {
+            directives.slot = { name: name.slice(7) || "default", pattern: value.trim() ? this.parsePattern(value) : null, loc: attr.loc };
+          } else if (name === "z-teleport") {
+            directives.teleport = { to: value, loc: attr.loc };
+          } else if (name === "z-transition") {
+            props["z-transition"] = value.trim() || "z";
+          } else if (typeof this.directives[name] === "function") {
+            props[`data-${name}`] = value;
+          } else if (name.startsWith("z-")) {
+            const [directive, ...modifiers] = name.slice(2).split(".");
+            const [directiveName, arg = null] = directive.split(":");
+            if (value.trim()) {
+              try {
+                this.parseExpression(value);
+              } catch (e) {
+                fail(e.message, attr.loc);
+              }
             }
-            vnode.flags = flags;
-            return vnode;
+            customDirectives.push({ name: directiveName, arg, modifiers: Object.fromEntries(modifiers.map((modifier) => [modifier, true])), expr: value.trim() ? value : null, loc: attr.loc });
+          } else {
+            props[name] = value;
           }
-          return null;
-        };
+        });
   
-        const buildVNode = (node, isRoot = false) => {
-          if (!node) return null;
-          if (node.type === "staticText") return staticNodes.get(node.value) || node.value;
-          if (node.type === "dynamicText") return node.value();
-          if (node.type === "if") return node.condition() ? node.children.map((child) => buildVNode(child)).flat() : [];
+        if (directives.html) return { type: "html", expr: directives.html.expr, loc: directives.html.loc };
+        const ref = directives.ref ? { name: directives.ref.name, inFor: forDepth > 0 || !!directives.for } : null;
+        if (directives.for) forDepth++;
+        const children = directives.text
+          ? [{ type: "interpolation", parts: [{ expr: directives.text.expr }], loc: directives.text.loc }]
+          : transformChildren(node.children);
+        if (directives.for) forDepth--;
+        if (directives.text) flags |= flagsOf.TEXT;
+  
+        let elementTag = tag;
+        if (tag === "transition-group") {
+          const { tag: groupTag = "div", name: groupName = "z", ...groupProps } = props;
+          Object.keys(props).forEach((key) => delete props[key]);
+          Object.assign(props, groupProps, { "z-transition-group": groupName });
+          elementTag = groupTag;
+          const mark = (child) => {
+            if (child.type === "element" && !child.slots) child.props["z-transition"] ??= groupName;
+            else if (child.type === "once") mark(child.node);
+            else if (child.type === "for") child.children.forEach(mark);
+            else if (child.type === "if") child.branches.forEach((branch) => branch.children.forEach(mark));
+          };
+          children.forEach(mark);
+        }
+        let is = null;
+        if (tag === "component") {
+          const isBinding = bindings.find((binding) => binding.name === "is");
+          if (!isBinding && !props.is) fail("<component> needs an is or :is attribute", node.loc);
+          is = isBinding ? { expr: isBinding.expr, loc: isBinding.loc } : { expr: JSON.stringify(props.is), loc: node.loc };
+          if (isBinding) bindings.splice(bindings.indexOf(isBinding), 1);
+          delete props.is;
+        } else if (tag === "keep-alive") {
+          props.style = "display: contents";
+        } else if (tag === "teleport") {
+          if (!("to" in props) && !bindings.some((binding) => binding.name === "to")) fail("<teleport> needs a to or :to attribute", node.loc);
+          props.style = "display: contents";
+        }
+        const isComponent = !!is || (!["transition-group", "keep-alive"].includes(tag) && (tag.includes("-") || /^[A-Z]/.test(node.tag)));
+        const model = bindings.find((binding) => binding.kind === "model");
+        if (model && !isComponent && !["input", "textarea", "select"].includes(tag)) fail("z-model can only be used on <input>, <textarea>, <select> and components", model.loc);
+        if (model && !isComponent && model.name !== "modelValue") fail("Named z-model bindings are only supported on components", model.loc);
+        if (customDirectives.length && (isComponent || ["template", "slot"].includes(tag))) fail(`z-${customDirectives[0].name} can only be used on an element`, customDirectives[0].loc);
+        if (ref && ["template", "slot"].includes(tag)) fail("z-ref can only be used on an element or a component", directives.ref.loc);
+        const strayContent = !isComponent && children.find((child) => child.type === "slotContent");
+        if (strayContent) fail("z-slot can only be used on a component or on a <template> directly inside one", strayContent.loc);
+        if (directives.slot && !isComponent) {
+          if (tag !== "template") fail("z-slot can only be used on a component or on a <template> directly inside one", directives.slot.loc);
+          return { type: "slotContent", name: directives.slot.name, pattern: directives.slot.pattern, children, loc: directives.slot.loc };
+        }
+        let result;
+        if (tag === "template" && (directives.if || directives.for)) {
+          result = children;
+        } else if (tag === "slot") {
+          const { name: slotName = "default", "data-litez-scope": _, ...slotProps } = props;
+          result = [{ type: "slot", name: slotName, props: slotProps, bindings, children, loc: node.loc }];
+        } else if (isComponent) {
+          const slots = {};
+          const loose = children.filter((child) => child.type !== "slotContent");
+          children.forEach((child) => {
+            if (child.type !== "slotContent") return;
+            if (slots[child.name]) fail(`Duplicate slot "${child.name}"`, child.loc);
+            slots[child.name] = { pattern: child.pattern, children: child.children };
+          });
+          if (loose.length || directives.slot) {
+            if (slots.default) fail("Default slot content is given both directly and in <template z-slot:default>", node.loc);
+            slots.default = { pattern: directives.slot?.pattern || null, children: loose };
+          }
+          const componentTag = node.tag.replace(/([a-z0-9])([A-Z])/g, "$1-$2").toLowerCase();
+          result = [{ type: "element", tag: componentTag, is, props, bindings, events, children: [], slots, key: directives.key ? { expr: directives.key.expr } : null, ref, flags, isStatic: false, loc: node.loc }];
+        } else {
+          const isStatic = !bindings.length && !events.length && !customDirectives.length && !ref && !flags && !directives.key && children.every((child) => child.type === "text" || child.isStatic);
+          const element = { type: "element", tag: elementTag, props, bindings, events, directives: customDirectives, children, key: directives.key ? { expr: directives.key.expr } : null, ref, flags, isStatic, loc: node.loc };
+          result = [directives.once ? { type: "once", node: element } : element];
+        }
+        if (directives.teleport) {
+          const teleportProps = { "data-litez-scope": scopeId, to: directives.teleport.to, style: "display: contents" };
+          result = [{ type: "element", tag: "teleport", props: teleportProps, bindings: [], events: [], children: result, key: directives.key ? { expr: directives.key.expr } : null, flags: 0, isStatic: false, loc: directives.teleport.loc }];
+        }
+        if (directives.for) result = [{ type: "for", aliases: directives.for.aliases, list: directives.for.list, children: result, loc: directives.for.loc }];
+        if (!directives.if) return result[0];
+        const { directive, expr, loc } = directives.if;
+        if (directive === "z-if" || directive === "show-when") return { type: "if", branches: [{ condition: expr, children: result }], loc };
+        return { type: "branch", directive, condition: expr, children: result, loc };
+      };
+  
+      const nodes = transformChildren(ast.children);
+      const strayContent = nodes.find((node) => node.type === "slotContent");
+      if (strayContent) fail("z-slot can only be used on a component or on a <template> directly inside one", strayContent.loc);
+      return nodes.find((node) => node.type !== "text") || nodes[0] || null;
+    },
+  
+    checkTemplate(root, isKnown = null, isDirective = null, isComponent = null) {
+      const diagnostics = [];
+      const patternNames = (pattern) =>
+        pattern.type === "Identifier"
+          ? [pattern.name]
+          : pattern.type === "ObjectPattern"
+          ? pattern.properties.flatMap((property) => patternNames(property.value))
+          : pattern.elements.flatMap(patternNames);
+      const freeNames = (node, bound, found = []) => {
+        if (Array.isArray(node)) {
+          node.forEach((child) => freeNames(child, bound, found));
+        } else if (node && typeof node === "object") {
+          if (node.type === "Identifier") {
+            if (!bound.has(node.name)) found.push({ name: node.name, call: false });
+          } else if (node.type === "Call" && node.callee.type === "Identifier" && !bound.has(node.callee.name)) {
+            found.push({ name: node.callee.name, call: true });
+            freeNames(node.arguments, bound, found);
+          } else if (node.type === "Arrow") {
+            freeNames(node.body, new Set([...bound, ...node.params]), found);
+          } else {
+            Object.values(node).forEach((child) => freeNames(child, bound, found));
+          }
+        }
+        return found;
+      };
+      const check = (expr, locals, loc, where) => {
+        if (expr === null || expr === undefined) return;
+        let ast;
+        try {
+          ast = this.parseExpression(expr);
+        } catch (e) {
+          diagnostics.push({ message: e.message, loc, severity: "error" });
+          return;
+        }
+        if (!isKnown) return;
+        const reported = new Set();
+        freeNames(ast, locals).forEach(({ name, call }) => {
+          if (isKnown(name) || reported.has(name)) return;
+          reported.add(name);
+          const handler = where.startsWith("@");
+          const message = `Unknown ${call && handler ? "method" : "name"} "${name}" in ${where}${handler ? " handler" : ""}`;
+          diagnostics.push({ message, loc, severity: "warning" });
+        });
+      };
+      const checkSiblings = (children) => {
+        const seen = new Set();
+        children.forEach((child) => {
+          if (child.type !== "element" || !child.key || typeof child.key !== "object") return;
+          let ast;
+          try {
+            ast = this.parseExpression(child.key.expr);
+          } catch (e) {
+            return;
+          }
+          if (ast.type !== "Literal") return;
+          if (seen.has(ast.value)) diagnostics.push({ message: `Duplicate key ${JSON.stringify(ast.value)}`, loc: child.loc, severity: "warning" });
+          seen.add(ast.value);
+        });
+      };
+      const bindingName = (binding) => ({ class: ":class", show: "z-show", model: "z-model" })[binding.kind] || `:${binding.name}`;
+      const walk = (node, locals) => {
+        if (!node) return;
+        if (node.type === "interpolation") {
+          node.parts.forEach((part) => typeof part !== "string" && check(part.expr, locals, node.loc, "interpolation"));
+        } else if (node.type === "html") {
+          check(node.expr, locals, node.loc, "z-html");
+        } else if (node.type === "once") {
+          walk(node.node, locals);
+        } else if (node.type === "if") {
+          node.branches.forEach((branch) => {
+            check(branch.condition, locals, branch.loc || node.loc, "z-if");
+            checkSiblings(branch.children);
+            branch.children.forEach((child) => walk(child, locals));
+          });
+        } else if (node.type === "for") {
+          check(node.list, locals, node.loc, "z-for");
+          const names = node.aliases.flatMap(patternNames);
+          if (node.aliases.length === 1) names.push("index");
+          node.children.forEach((child) => walk(child, new Set([...locals, ...names])));
+        } else if (node.type === "slot") {
+          node.bindings.forEach((binding) => check(binding.expr, locals, binding.loc, bindingName(binding)));
+          node.children.forEach((child) => walk(child, locals));
+        } else if (node.type === "element") {
+          if (node.is) check(node.is.expr, locals, node.is.loc, ":is");
+          else if (node.slots && isComponent && !isComponent(node.tag)) diagnostics.push({ message: `Unknown component <${node.tag}>`, loc: node.loc, severity: "warning" });
+          (node.directives || []).forEach((directive) => {
+            if (isDirective && !isDirective(directive.name)) diagnostics.push({ message: `Unknown directive "z-${directive.name}"`, loc: directive.loc, severity: "warning" });
+            check(directive.expr, locals, directive.loc, `z-${directive.name}`);
+          });
+          node.bindings.forEach((binding) => check(binding.expr, locals, binding.loc, bindingName(binding)));
+          node.events.forEach((event) => check(event.expr, new Set([...locals, "$event"]), event.loc, `@${event.name}`));
+          if (node.key && typeof node.key === "object") check(node.key.expr, locals, node.loc, ":key");
+          Object.values(node.slots || {}).forEach((slot) => {
+            const slotLocals = slot.pattern ? new Set([...locals, ...patternNames(slot.pattern)]) : locals;
+            slot.children.forEach((child) => walk(child, slotLocals));
+          });
+          checkSiblings(node.children);
+          node.children.forEach((child) => walk(child, locals));
+        }
+      };
+      walk(root, new Set());
+      return diagnostics;
+    },
+  
+    codeFrame(source, { line, column }) {
+      const lines = String(source).split("\n");
+      const first = Math.max(1, line - 2);
+      const last = Math.min(lines.length, line + 2);
+      const width = String(last).length;
+      const frame = [];
+      for (let number = first; number <= last; number++) {
+        const text = lines[number - 1];
+        frame.push(`${number === line ? ">" : " "} ${String(number).padStart(width)} | ${text}`);
+        if (number === line) frame.push(`  ${" ".repeat(width)} | ${text.slice(0, column - 1).replace(/[^\t]/g, " ")}^`);
+      }
+      return frame.join("\n");
+    },
+  
+    templateDiagnostic(reason, { loc = null, template = null, component = "", severity = "error" } = {}) {
+      const where = [component && `in <${component}>`, loc && `at line ${loc.line}, column ${loc.column}`].filter(Boolean).join(" ");
+      const diagnostic = new Error(where ? `${reason} ${where}` : reason);
+      diagnostic.reason = reason;
+      diagnostic.severity = severity;
+      diagnostic.component = component || null;
+      diagnostic.loc = loc;
+      diagnostic.frame = loc && template !== null ? this.codeFrame(template, loc) : "";
+      return diagnostic;
+    },
+  
+    reportDiagnostic(diagnostic) {
+      if (diagnostic.severity === "warning") {
+        if (!this._reportedWarnings) this._reportedWarnings = new Set();
+        const id = `${diagnostic.message}\n${diagnostic.frame}`;
+        if (this._reportedWarnings.has(id)) return;
+        this._reportedWarnings.add(id);
+      }
+      if (this.errorHandler) this.errorHandler(diagnostic);
+      else if (diagnostic.severity === "warning") console.warn(`Template warning: ${diagnostic.message}${diagnostic.frame ? `\n${diagnostic.frame}` : ""}`);
+      else console.error("Template compilation error:", diagnostic.frame ? `${diagnostic.message}\n${diagnostic.frame}` : diagnostic);
+    },
+  
+    checkKeys(vnodes, loc = null, component = "", template = null) {
+      const seen = new Set();
+      for (const vnode of vnodes) {
+        const key = vnode?.key;
+        if (key === null || key === undefined) continue;
+        if (seen.has(key)) {
+          this.reportDiagnostic(this.templateDiagnostic(`Duplicate key ${JSON.stringify(key)} in z-for`, { loc, template, component, severity: "warning" }));
+          break;
+        }
+        seen.add(key);
+      }
+      return vnodes;
+    },
+  
+    toDisplayString(value) {
+      return value === undefined || value === null ? "" : typeof value === "object" ? JSON.stringify(value) : String(value);
+    },
+  
+    normalizeClass(value) {
+      if (typeof value === "string") return value;
+      if (Array.isArray(value)) return value.map((item) => this.normalizeClass(item)).filter(Boolean).join(" ");
+      if (value && typeof value === "object") {
+        return Object.entries(value)
+          .filter(([, v]) => v)
+          .map(([k]) => k)
+          .join(" ");
+      }
+      return "";
+    },
+  
+    normalizeStyle(value) {
+      const unitless = ["animation-iteration-count", "aspect-ratio", "column-count", "fill-opacity", "flex", "flex-grow", "flex-shrink", "font-weight", "grid-column", "grid-row", "line-height", "opacity", "order", "orphans", "stroke-opacity", "tab-size", "widows", "z-index", "zoom"];
+      const styles = {};
+      const add = (item) => {
+        if (typeof item === "string") Object.assign(styles, this.parseStyle(item));
+        else if (Array.isArray(item)) item.forEach(add);
+        else if (item && typeof item === "object") {
+          Object.entries(item).forEach(([key, v]) => {
+            if (v === null || v === undefined || v === false || v === "") return;
+            const name = key.startsWith("--") ? key : key.replace(/[A-Z]/g, (ch) => `-${ch.toLowerCase()}`);
+            styles[name] = typeof v === "number" && !name.startsWith("--") && !unitless.includes(name) ? `${v}px` : String(v);
+          });
+        }
+      };
+      add(value);
+      return Object.entries(styles)
+        .map(([name, v]) => `${name}: ${v}`)
+        .join("; ");
+    },
+  
+    parseStyle(text) {
+      const styles = {};
+      if (typeof text !== "string") return styles;
+      let depth = 0;
+      let quote = null;
+      let start = 0;
+      [...text, ";"].forEach((ch, i) => {
+        if (quote) {
+          if (ch === quote) quote = null;
+        } else if (ch === '"' || ch === "'") quote = ch;
+        else if (ch === "(") depth++;
+        else if (ch === ")") depth--;
+        else if (ch === ";" && depth === 0) {
+          const declaration = text.slice(start, i);
+          const colon = declaration.indexOf(":");
+          if (colon > 0 && declaration.slice(colon + 1).trim()) styles[declaration.slice(0, colon).trim()] = declaration.slice(colon + 1).trim();
+          start = i + 1;
+        }
+      });
+      return styles;
+    },
+  
+    patchStyle(el, value, oldValue = null) {
+      const next = this.parseStyle(value);
+      const prev = this.parseStyle(oldValue);
+      for (const name in prev) if (!(name in next)) el.style.removeProperty(name);
+      for (const [name, v] of Object.entries(next)) {
+        if (prev[name] === v) continue;
+        const important = /\s*!important$/i.test(v);
+        el.style.setProperty(name, important ? v.replace(/\s*!important$/i, "") : v, important ? "important" : "");
+      }
+    },
+  
+    handlerExpression(source) {
+      const text = String(source ?? "").trim();
+      if (!text) return null;
+      const ast = this.parseExpression(text);
+      return ["Identifier", "Member", "Arrow"].includes(ast.type) ? `(${text})($event)` : text;
+    },
+  
+    withModifiers(handler, modifiers = []) {
+      const systemKeys = ["ctrl", "alt", "shift", "meta"];
+      const keyAliases = { esc: ["escape"], space: [" ", "spacebar"], delete: ["delete", "backspace"], up: ["arrow-up"], down: ["arrow-down"], left: ["arrow-left"], right: ["arrow-right"] };
+      const buttons = { left: 0, middle: 1, right: 2 };
+      const keys = modifiers.filter((modifier) => ![...systemKeys, "stop", "prevent", "self", "exact", "once", "capture", "passive"].includes(modifier));
+      const once = { fired: false };
+      const invoker = (e) => {
+        if (modifiers.includes("self") && e.target !== e.currentTarget) return;
+        if (systemKeys.some((key) => modifiers.includes(key) !== !!e[`${key}Key`] && (modifiers.includes(key) || modifiers.includes("exact")))) return;
+        if (typeof e.key === "string" && keys.length) {
+          const key = e.key.replace(/([a-z])([A-Z])/g, "$1-$2").toLowerCase();
+          if (!keys.some((modifier) => modifier === key || keyAliases[modifier]?.includes(key))) return;
+        } else if (typeof e.button === "number" && keys.some((modifier) => modifier in buttons)) {
+          if (!keys.some((modifier) => buttons[modifier] === e.button)) return;
+        }
+        if (modifiers.includes("prevent")) e.preventDefault();
+        if (modifiers.includes("stop")) e.stopPropagation();
+        if (modifiers.includes("once")) {
+          if (once.fired) return;
+          once.fired = true;
+        }
+        return handler?.(e);
+      };
+      if (modifiers.includes("once")) invoker.once = once;
+      if (modifiers.includes("capture") || modifiers.includes("passive")) {
+        invoker.listenerOptions = { capture: modifiers.includes("capture"), passive: modifiers.includes("passive") };
+      }
+      return invoker;
+    },
+  
+    patchEvent(el, eventName, handler) {
+      if (!this.eventMap.has(el)) this.eventMap.set(el, {});
+      const listeners = this.eventMap.get(el);
+      const existing = listeners[eventName];
+      const handlers = [handler].flat().filter((fn) => typeof fn === "function");
+      handlers.forEach((fn, i) => fn.once && existing?.value[i]?.once?.fired && (fn.once.fired = true));
+      const options = {
+        capture: handlers.some((fn) => fn.listenerOptions?.capture),
+        passive: handlers.some((fn) => fn.listenerOptions?.passive),
+      };
+      if (existing && handlers.length && existing.capture === options.capture && existing.passive === options.passive) {
+        existing.value = handlers;
+        return;
+      }
+      if (existing) {
+        el.removeEventListener(eventName, existing, { capture: existing.capture });
+        delete listeners[eventName];
+      }
+      if (!handlers.length) return;
+      const invoker = (e) => invoker.value.forEach((fn) => fn(e));
+      Object.assign(invoker, { value: handlers }, options);
+      listeners[eventName] = invoker;
+      el.addEventListener(eventName, invoker, options);
+    },
+  
+    looseEqual(a, b) {
+      if (a === b) return true;
+      if (a && b && typeof a === "object" && typeof b === "object") return JSON.stringify(a) === JSON.stringify(b);
+      return a !== null && b !== null && typeof a !== "object" && typeof b !== "object" && String(a) === String(b);
+    },
+  
+    castModel(value, modifiers = [], numeric = false) {
+      let result = typeof value === "string" && modifiers.includes("trim") ? value.trim() : value;
+      if ((numeric || modifiers.includes("number")) && typeof result === "string") {
+        const number = parseFloat(result);
+        if (!isNaN(number)) result = number;
+      }
+      return result;
+    },
+  
+    modelProps(props, { tag, component = false, name = "modelValue", value, assign, modifiers = [] }) {
+      const on = (event, handler) => {
+        const key = `@${event}`;
+        props[key] = props[key] ? [handler, props[key]].flat() : handler;
+      };
+      if (component) {
+        props[name] = value;
+        on(`update:${name}`, (input) => assign(this.castModel(input, modifiers)));
+        return props;
+      }
+      props["z-model"] = { value, modifiers };
+      const changeOnly = tag === "select" || props.type === "checkbox" || props.type === "radio" || modifiers.includes("lazy");
+      on(changeOnly ? "change" : "input", (e) => assign(this.readModel(e.target, value, modifiers)));
+      return props;
+    },
+  
+    setValueProp(el, key, value) {
+      if (["value", "true-value", "false-value"].includes(key)) el[`_${key.replace("-v", "V")}`] = value;
+      if (key === "value" && (el.tagName === "INPUT" || el.tagName === "TEXTAREA") && el.value !== String(value ?? "")) el.value = value ?? "";
+    },
+  
+    readModel(el, current, modifiers = []) {
+      const valueOf = (node) => ("_value" in node ? node._value : node.value);
+      if (el.type === "checkbox") {
+        if (Array.isArray(current)) {
+          const rest = current.filter((item) => !this.looseEqual(item, valueOf(el)));
+          return el.checked ? [...rest, valueOf(el)] : rest;
+        }
+        if (el.checked) return "_trueValue" in el ? el._trueValue : true;
+        return "_falseValue" in el ? el._falseValue : false;
+      }
+      if (el.tagName === "SELECT") {
+        const selected = Array.from(el.options)
+          .filter((option) => option.selected)
+          .map((option) => this.castModel(valueOf(option), modifiers));
+        return el.multiple ? selected : selected[0];
+      }
+      return this.castModel(el.type === "radio" ? valueOf(el) : el.value, modifiers, el.type === "number");
+    },
+  
+    setModelValue(el, { value, modifiers = [] }) {
+      const valueOf = (node) => ("_value" in node ? node._value : node.value);
+      if (el.type === "checkbox") {
+        if (Array.isArray(value)) el.checked = value.some((item) => this.looseEqual(item, valueOf(el)));
+        else el.checked = "_trueValue" in el ? this.looseEqual(value, el._trueValue) : !!value;
+      } else if (el.type === "radio") {
+        el.checked = this.looseEqual(value, valueOf(el));
+      } else if (el.tagName === "SELECT") {
+        Array.from(el.options).forEach((option) => {
+          option.selected = el.multiple ? Array.isArray(value) && value.some((item) => this.looseEqual(item, valueOf(option))) : this.looseEqual(value, valueOf(option));
+        });
+        if (!el.multiple && !Array.from(el.options).some((option) => option.selected)) el.selectedIndex = -1;
+      } else if (el.value !== String(value ?? "")) {
+        const editing = el.ownerDocument?.activeElement === el;
+        if (editing && (modifiers.includes("lazy") || Object.is(this.castModel(el.value, modifiers, el.type === "number"), value))) return;
+        el.value = value ?? "";
+      }
+    },
+  
+    renderList(source, renderItem) {
+      const list = this.unref(source);
+      if (Array.isArray(list) || typeof list === "string") return Array.from(list, (item, index) => renderItem(item, index, index)).flat();
+      if (typeof list === "number") return Array.from({ length: Math.max(0, Math.floor(list)) }, (_, index) => renderItem(index + 1, index, index)).flat();
+      if (list && typeof list[Symbol.iterator] === "function") return Array.from(list, (item, index) => renderItem(item, index, index)).flat();
+      if (list && typeof list === "object") return Object.keys(list).map((key, index) => renderItem(list[key], key, index)).flat();
+      return [];
+    },
+  
+    createRenderScope(context) {
+      if (!this._renderScopes) this._renderScopes = new WeakMap();
+      if (!this._scopeProxies) this._scopeProxies = new WeakSet();
+      if (this._renderScopes.has(context)) return this._renderScopes.get(context);
+      const contextKeys = ["state", "props", "computed", "methods", "slots"];
+      const resolve = (key) => {
+        if (typeof key !== "string") return { found: false };
+        if (key === "$filters") return { found: !!context.filters, value: context.filters };
+        if (context.computed && key in context.computed) return { found: true, value: context.computed[key].value };
+        const data = context.state.get();
+        if (key in data) return { found: true, value: data[key] };
+        const propsData = context.props?.get();
+        if (propsData && key in propsData) return { found: true, value: propsData[key] };
+        if (context.methods && key in context.methods) return { found: true, value: context.methods[key] };
+        if (contextKeys.includes(key) && context[key]) {
+          return { found: true, value: key === "state" ? data : key === "props" ? propsData : context[key] };
+        }
+        return { found: false };
+      };
+      const scope = new Proxy(
+        {},
+        {
+          has: (_, key) => resolve(key).found,
+          get: (_, key) => resolve(key).value,
+          set: (_, key, value, receiver) => {
+            if (receiver !== scope) return Reflect.defineProperty(receiver, key, { value, writable: true, enumerable: true, configurable: true });
+            if (context.computed && key in context.computed) context.computed[key].value = value;
+            else if (context.props && key in context.props.get() && !(key in context.state.get())) console.warn(`Cannot assign to prop "${String(key)}"`);
+            else context.state.get()[key] = value;
+            return true;
+          },
+        }
+      );
+      this._renderScopes.set(context, scope);
+      this._scopeProxies.add(scope);
+      return scope;
+    },
+  
+    compileTemplate(templateString, context, scopeId = `litez-${Math.random().toString(36).slice(2)}`, name = "") {
+      try {
+        const root = this.transformTemplate(this.parseTemplate(templateString), scopeId);
+        const scope = this.createRenderScope(context);
+        const isKnown = (key) =>
+          key in scope || key === "LiteZ" || (key === "store" && typeof this.store === "object") || Object.prototype.hasOwnProperty.call(this.expressionGlobals, key);
+        this.checkTemplate(root, isKnown, (directive) => !!this.resolveDirective(directive)).forEach(({ message, loc, severity = "warning" }) =>
+          this.reportDiagnostic(this.templateDiagnostic(message, { loc, template: templateString, component: name, severity }))
+        );
+        const staticCache = new WeakMap();
+        const onceCache = new WeakMap();
+        const evaluate = (expr, s) => this.unref(this.evaluate(expr, s));
+  
+        const build = (node, s) => {
+          if (node.type === "text") return node.value;
+          if (node.type === "interpolation") return node.parts.map((part) => (typeof part === "string" ? part : this.toDisplayString(evaluate(part.expr, s)))).join("");
+          if (node.type === "html") return { type: "html", value: evaluate(node.expr, s), flags: this.PATCH_FLAGS.TEXT };
+          if (node.type === "if") {
+            const branch = node.branches.find((candidate) => candidate.condition === null || evaluate(candidate.condition, s));
+            return branch ? branch.children.map((child) => build(child, s)).flat() : [];
+          }
           if (node.type === "for") {
-            const list = unwrap(this.evaluate(node.list, context.state.get())) || [];
-            return list.length > 0
-              ? list
-                  .map((item, index) => {
-                    const childContext = { ...context, state: this.state({ ...context.state.get(), [node.item]: item, index }) };
-                    return node.children.map((child) => buildVNode({ ...child, context: childContext }));
-                  })
-                  .flat()
-              : [];
-          }
-          if (node.type === "once") return staticNodes.get(node.key);
-          if (node.type === "html") return { type: "html", value: node.value(), flags: node.flags };
-          if (staticNodes.has(node)) return staticNodes.get(node);
-  
-          const props = Object.fromEntries(Object.entries(node.props).map(([k, v]) => [k, typeof v === "function" ? v() : v]));
-          const children = node.children.map((child) => buildVNode(child)).flat();
-          const vnode = this.h(node.tag, props, children);
-          vnode.flags = node.flags;
+            const rows = this.renderList(evaluate(node.list, s), (value, key, index) => {
+              const itemScope = Object.create(s);
+              [value, key, index].forEach((item, i) => node.aliases[i] && this.bindPattern(node.aliases[i], item, itemScope));
+              if (node.aliases.length === 1) itemScope.index = index;
+              return node.children.map((child) => build(child, itemScope));
+            });
+            return node.children.some((child) => child.key && typeof child.key === "object") ? this.checkKeys(rows, node.loc, name, templateString) : rows;
+          }
+          if (node.type === "once") {
+            if (!onceCache.has(node)) onceCache.set(node, build(node.node, s));
+            return onceCache.get(node);
+          }
+          if (node.type === "slot") {
+            const slotProps = { ...node.props };
+            node.bindings.forEach((binding) => (slotProps[binding.name] = evaluate(binding.expr, s)));
+            return this.renderSlot(context.slots, node.name, slotProps, () => node.children.map((child) => build(child, s)).flat());
+          }
+          if (node.isStatic && staticCache.has(node)) return staticCache.get(node);
+          const tag = node.is ? this.resolveDynamicComponent(evaluate(node.is.expr, s)) : node.tag;
+          if (!tag) return "";
+  
+          const props = { ...node.props };
+          for (const binding of node.bindings) {
+            if (binding.kind === "model") continue;
+            const value = evaluate(binding.expr, s);
+            if (binding.kind === "class") props.class = this.normalizeClass(value);
+            else if (binding.kind === "style") props.style = this.normalizeStyle([props.style, value]);
+            else if (binding.kind === "show") props.style = value ? props.style || "" : `${props.style ? `${props.style}; ` : ""}display: none`;
+            else props[binding.name] = value;
+          }
+          for (const event of node.events) {
+            const handler = event.expr && (($event) => evaluate(event.expr, Object.create(s, { $event: { value: $event } })));
+            const key = `@${event.name}`;
+            props[key] = props[key] ? [props[key], this.withModifiers(handler, event.modifiers)].flat() : this.withModifiers(handler, event.modifiers);
+          }
+          if (node.ref && context.refs) props["z-ref"] = { ...node.ref, refs: context.refs };
+          if (node.directives?.length) {
+            props["z-directives"] = node.directives
+              .map(({ name, arg, modifiers, expr }) => ({ dir: this.resolveDirective(name), value: expr === null ? undefined : evaluate(expr, s), arg, modifiers, instance: context }))
+              .filter((binding) => binding.dir);
+          }
+          node.bindings
+            .filter((binding) => binding.kind === "model")
+            .forEach(({ name, expr, modifiers }) => {
+              const assign = ($event) => evaluate(`${expr} = $event`, Object.create(s, { $event: { value: $event } }));
+              this.modelProps(props, { tag, component: !!node.slots, name, value: evaluate(expr, s), assign, modifiers });
+            });
+          const slotFn = ({ pattern, children }) => (slotProps = {}) => {
+            const slotScope = Object.create(s);
+            if (pattern) this.bindPattern(pattern, slotProps, slotScope);
+            return children.map((child) => build(child, slotScope)).flat();
+          };
+          const children = !node.slots
+            ? node.children.map((child) => build(child, s)).flat()
+            : this.resolveComponent(tag)
+            ? Object.fromEntries(Object.entries(node.slots).map(([name, slot]) => [name, slotFn(slot)]))
+            : node.slots.default
+            ? slotFn(node.slots.default)()
+            : [];
+          const vnode = this.h(tag, props, children, typeof node.key === "string" || node.key === null ? node.key : evaluate(node.key.expr, s), node.flags);
+          if (node.isStatic) staticCache.set(node, vnode);
           return vnode;
         };
   
-        const scopeId = `litez-${Math.random().toString(36).slice(2)}`;
-        const rootNode = parseNode(root.firstChild, scopeId);
-        let cachedRender = null;
-  
         return {
           render: () => {
-            if (cachedRender && !rootNode.flags) return cachedRender;
-            const result = buildVNode(rootNode, true);
-            cachedRender = result || this.h("div", {}, "");
-            return cachedRender;
+            const vnode = root && build(root, scope);
+            return (Array.isArray(vnode) ? vnode[0] : vnode) || this.h("div", {}, "");
           },
           scopeId,
         };
       } catch (e) {
-        if (LiteZ.errorHandler) LiteZ.errorHandler(e);
-        else console.error("Template compilation error:", e);
+        this.reportDiagnostic(e.loc ? this.templateDiagnostic(e.reason || e.message, { loc: e.loc, template: templateString, component: name }) : e);
         return { render: () => LiteZ.h("div", {}, "Error compiling template"), scopeId: "" };
       }
     },
   
     component(
       name,
-      { template, data = () => ({}), methods = {}, computed = {}, on = {}, props = {}, slots = {}, styles, scoped = false } = {}
+      { template, data = () => ({}), methods = {}, computed = {}, watch = {}, filters = {}, on = {}, props = {}, slots = {}, styles, scoped = false, expose } = {}
     ) {
       if (!name || typeof name !== "string") throw new Error("Component name must be a non-empty string");
       if (!template) throw new Error(`Component "${name}" must have a template`);
@@ -613,43 +2481,73 @@ const LiteZ = {
       } catch (e) {
         styleId = `litez-${name}-${Date.now().toString(36)}`;
       }
+      if (typeof template === "function" && template.scopeId) styleId = template.scopeId;
   
       const componentDef = {
         name,
         createInstance: function (inputProps = {}, slotContent = {}) {
+          const scope = LiteZ.effectScope();
+          const inScope = (fn) => (scope.active ? scope.run(fn) : fn());
           try {
             on.beforeCreate?.();
             const instanceState = LiteZ.reactive(data());
             const propsState = LiteZ.reactive({});
             const computedState = {};
+            const pickListeners = (input) => Object.fromEntries(Object.entries(input).filter(([key]) => key.startsWith("@")));
+            let parentListeners = pickListeners(inputProps);
             const boundMethods = {
-              emit: LiteZ.emit.bind(LiteZ),
-              on: LiteZ.on.bind(LiteZ),
+              emit: (event, data) => {
+                [parentListeners[`@${event}`]].flat().forEach((handler) => typeof handler === "function" && handler(data));
+                LiteZ.emit(event, data);
+              },
+              on: (event, callback) => inScope(() => LiteZ.on(event, callback)),
             };
   
-            const validatedProps = {};
-            for (const [key, def] of Object.entries(props)) {
-              const value = inputProps[key];
-              validatedProps[key] = value !== undefined ? value : def.default !== undefined ? def.default : null;
-              if (def.required && value === undefined) throw new Error(`Prop "${key}" is required`);
-              if (value !== undefined && typeof def.type === "function" && !(value instanceof def.type)) {
-                throw new Error(`Prop "${key}" must be of type ${def.type.name}`);
+            const resolveProps = (input) => {
+              const validatedProps = {};
+              for (const [key, def] of Object.entries(props)) {
+                const value = input[key] !== undefined ? input[key] : input[key.replace(/([A-Z])/g, "-$1").toLowerCase()];
+                validatedProps[key] = value !== undefined ? value : def.default !== undefined ? def.default : null;
+                if (def.required && value === undefined) throw new Error(`Prop "${key}" is required`);
+                const isPrimitive = typeof value !== "object" && typeof value !== "function";
+                if (value !== undefined && value !== null && typeof def.type === "function" && !(isPrimitive ? typeof value === def.type.name.toLowerCase() : value instanceof def.type)) {
+                  throw new Error(`Prop "${key}" must be of type ${def.type.name}`);
+                }
               }
-            }
-            propsState.set(validatedProps);
+              return validatedProps;
+            };
+            propsState.set(resolveProps(inputProps));
   
+            const refs = {};
+            const methodContext = { state: instanceState, props: propsState, methods: boundMethods, refs };
             for (const [key, fn] of Object.entries(methods)) {
-              boundMethods[key] = fn.bind({ state: instanceState, props: propsState, methods: boundMethods });
+              boundMethods[key] = (...args) => inScope(() => fn.apply(methodContext, args));
             }
+            const hook = (fn) => fn && ((...args) => fn.apply(methodContext, args));
+  
+            const computedContext = { state: instanceState, props: propsState, computed: computedState, methods: boundMethods, refs };
+            scope.run(() => {
+              for (const [key, def] of Object.entries(computed)) {
+                computedState[key] = LiteZ.computed(
+                  typeof def === "function"
+                    ? () => def.call(computedContext, instanceState.get(), propsState.get())
+                    : {
+                        get: () => def.get.call(computedContext, instanceState.get(), propsState.get()),
+                        set: (value) => def.set?.call(computedContext, value),
+                      }
+                );
+              }
   
-            for (const [key, fn] of Object.entries(computed)) {
-              computedState[key] = LiteZ.computed(fn);
-              computedState[key].context = { state: instanceState };
-            }
+              for (const [key, def] of Object.entries(watch)) {
+                const { handler, ...watchOptions } = typeof def === "object" ? def : { handler: def };
+                const callback = typeof handler === "string" ? boundMethods[handler] : handler.bind(computedContext);
+                LiteZ.watch(() => (key in computedState ? computedState[key].value : LiteZ.evaluate(key, instanceState.get())), callback, watchOptions);
+              }
+            });
   
-            const instanceSlots = {};
-            for (const [slotName, fn] of Object.entries(slots)) {
-              instanceSlots[slotName] = slotContent[slotName] || fn || (() => LiteZ.h("span", {}, ""));
+            const instanceSlots = LiteZ.shallowReactive({}).get();
+            for (const [slotName, fn] of Object.entries({ ...slots, ...slotContent })) {
+              if (typeof fn === "function") instanceSlots[slotName] = fn;
             }
   
             const applyStyles = () => {
@@ -664,6 +2562,7 @@ const LiteZ = {
                         .join(" ");
                 styleEl.textContent = scoped ? `[data-litez-scope="${styleId}"] ${css}` : css;
                 document.head.appendChild(styleEl);
+                LiteZ.onScopeDispose(() => styleEl.remove());
               }
             };
   
@@ -673,15 +2572,17 @@ const LiteZ = {
               methods: boundMethods,
               computed: computedState,
               slots: instanceSlots,
+              filters,
+              refs,
             };
   
             const { render: renderTemplate, scopeId } =
-              typeof template === "string" ? LiteZ.compileTemplate(template, context) : { render: template, scopeId: styleId };
+              typeof template === "string" ? LiteZ.compileTemplate(template, context, styleId, name) : { render: template, scopeId: styleId };
   
             const instance = {
               template: () => {
                 try {
-                  const vnode = renderTemplate(context);
+                  const vnode = renderTemplate.call(LiteZ, context);
                   if (!vnode) return LiteZ.h("div", {}, "");
                   if (vnode.props) vnode.props["data-litez-component"] = styleId;
                   else vnode.props = { "data-litez-component": styleId };
@@ -698,25 +2599,57 @@ const LiteZ = {
               computed: computedState,
               on: {
                 beforeCreate: on.beforeCreate || null,
-                created: on.created || null,
-                beforeMount: on.beforeMount || null,
-                mount: () => {
-                  applyStyles();
-                  on.mount?.(instanceState.get(), propsState.get());
+                created: hook(on.created) || null,
+                beforeMount: () => inScope(() => on.beforeMount?.call(methodContext, instanceState.get(), propsState.get())),
+                mount: () =>
+                  inScope(() => {
+                    applyStyles();
+                    on.mount?.call(methodContext, instanceState.get(), propsState.get());
+                  }),
+                beforeUpdate: hook(on.beforeUpdate) || null,
+                update: hook(on.update) || null,
+                updated: hook(on.updated) || null,
+                activated: () => inScope(() => on.activated?.call(methodContext, instanceState.get(), propsState.get())),
+                deactivated: () => inScope(() => on.deactivated?.call(methodContext, instanceState.get(), propsState.get())),
+                beforeDestroy: hook(on.beforeDestroy) || null,
+                destroyed: () => {
+                  on.destroyed?.call(methodContext, instanceState.get(), propsState.get());
+                  Object.keys(refs).forEach((key) => delete refs[key]);
+                  scope.stop();
                 },
-                beforeUpdate: on.beforeUpdate || null,
-                update: on.update || null,
-                updated: on.updated || null,
-                beforeDestroy: on.beforeDestroy || null,
-                destroyed: on.destroyed || null,
-                error: on.error || null,
+                error: hook(on.error) || null,
+              },
+              slots: instanceSlots,
+              refs,
+              exposed: {
+                state: instanceState,
+                props: propsState,
+                ...Object.fromEntries((expose || Object.keys(methods)).filter((key) => key in boundMethods).map((key) => [key, boundMethods[key]])),
+              },
+              parentRef: inputProps["z-ref"] || null,
+              setProps: (input) => {
+                try {
+                  parentListeners = pickListeners(input);
+                  instance.parentRef = input["z-ref"] || null;
+                  const current = propsState.get();
+                  for (const [key, value] of Object.entries(resolveProps(input))) {
+                    if (!Object.is(LiteZ.toRaw(current[key]), LiteZ.toRaw(value))) propsState.set(key, value);
+                  }
+                } catch (e) {
+                  if (LiteZ.errorHandler) LiteZ.errorHandler(e);
+                  else console.error(`Prop update error for ${name}:`, e);
+                }
               },
+              definition: componentDef,
+              scope,
               dom: null,
             };
   
-            on.created?.(instanceState.get(), propsState.get());
+            LiteZ._refOwners.set(refs, instance);
+            inScope(() => on.created?.call(methodContext, instanceState.get(), propsState.get()));
             return instance;
           } catch (e) {
+            scope.stop();
             if (LiteZ.errorHandler) LiteZ.errorHandler(e);
             else console.error(`Component creation error for ${name}:`, e);
             return {
@@ -734,8 +2667,8 @@ const LiteZ = {
   
       this.components[name] = componentDef;
   
-      const kebabName = name.replace(/([A-Z])/g, "-$1").toLowerCase();
-      if (typeof customElements !== "undefined" && !customElements.get(kebabName)) {
+      const kebabName = name.replace(/([a-z0-9])([A-Z])/g, "$1-$2").toLowerCase();
+      if (typeof customElements !== "undefined" && /^[a-z][a-z0-9]*-/.test(kebabName) && !customElements.get(kebabName)) {
         customElements.define(
           kebabName,
           class extends HTMLElement {
@@ -746,25 +2679,27 @@ const LiteZ = {
                 const camelCaseKey = key.replace(/-([a-z])/g, (_, letter) => letter.toUpperCase());
                 propsFromDataset[camelCaseKey] = value;
               }
-              this.instance = componentDef.createInstance(propsFromDataset);
+              this.inputProps = propsFromDataset;
+              this.instance = null;
               this.shadow = this.attachShadow({ mode: "open" });
             }
             connectedCallback() {
-              const node = this.instance.template();
-              this.instance.dom = LiteZ.render(node, this.shadow);
-              this.instance.on.mount?.(this.instance.state.get(), this.instance.props.get());
+              if (this.instance?.dom?.isConnected) return;
+              if (!this.instance || (this.instance.scope && !this.instance.scope.active)) {
+                this.instance = componentDef.createInstance(this.inputProps);
+              }
+              LiteZ.mountComponent(this.instance, this.shadow);
             }
             disconnectedCallback() {
-              this.instance.on.beforeDestroy?.(this.instance.state.get(), this.instance.props.get());
-              this.instance.on.destroyed?.(this.instance.state.get(), this.instance.props.get());
+              LiteZ.nextTick(() => {
+                if (!this.isConnected && this.instance?.dom) LiteZ.unmount(this.instance.dom);
+              });
             }
             attributeChangedCallback(name, oldValue, newValue) {
               if (this.instance) {
                 const camelCaseName = name.replace(/-([a-z])/g, (_, letter) => letter.toUpperCase());
+                this.inputProps[camelCaseName] = newValue;
                 this.instance.props.set(camelCaseName, newValue);
-                const newNode = this.instance.template();
-                LiteZ.update(this.shadow, newNode, this.instance.dom);
-                this.instance.dom = newNode;
               }
             }
             static get observedAttributes() {
@@ -783,7 +2718,7 @@ const LiteZ = {
         return null;
       }
       try {
-        if (!node) {
+        if (node === undefined || node === null) {
           console.warn("Render called with undefined node");
           return null;
         }
@@ -806,39 +2741,69 @@ const LiteZ = {
           return el;
         }
   
+        const definition = node.slots && this.resolveComponent(node.tag);
+        if (definition) {
+          const cache = container._keepAlive;
+          if (cache && this.keepsAlive(cache, definition.name)) return this.untracked(() => this.activateComponent(cache, definition, node, container));
+          return this.untracked(() => this.mountComponent(definition.createInstance(node.props, node.slots), container));
+        }
+  
         const el = document.createElement(node.tag);
+        if (node.tag === "teleport") {
+          const host = document.createElement("div");
+          host.setAttribute("data-litez-teleport", "");
+          host.style.display = "contents";
+          host._component = container._component;
+          el._teleport = { host };
+        }
+        if (node.tag === "keep-alive") el._keepAlive = { include: node.props.include, exclude: node.props.exclude, max: node.props.max, instances: new Map(), storage: document.createElement("div") };
         el._key = node.key;
         el._component = container._component;
         el._flags = node.flags || 0;
   
         for (const [key, value] of Object.entries(node.props || {})) {
-          if (key.startsWith("@")) {
-            const eventName = key.slice(1);
-            if (typeof value === "function") {
-              const oldListeners = this.eventMap.get(el) || {};
-              if (oldListeners[eventName]) el.removeEventListener(eventName, oldListeners[eventName]);
-              this.eventMap.set(el, { ...oldListeners, [eventName]: value });
-              el.addEventListener(eventName, value);
-            }
-          } else if (key === "style" && nonce) {
-            el.setAttribute("style", value);
-            el.setAttribute("nonce", nonce);
+          if (key === "z-model" || key === "z-directives" || (el._teleport && (key === "to" || key === "disabled"))) continue;
+          if (key === "z-ref") {
+            el._ref = value;
+          } else if (key === "z-transition") {
+            el._transition = value;
+          } else if (key === "z-transition-group") {
+            el._transitionGroup = value;
+          } else if (key.startsWith("@")) {
+            this.patchEvent(el, key.slice(1), value);
+          } else if (key === "style") {
+            this.patchStyle(el, value);
+            if (nonce) el.setAttribute("nonce", nonce);
           } else if (key.startsWith("data-")) {
             const dataKey = key.slice(5).replace(/-([a-z])/g, (_, letter) => letter.toUpperCase());
             el.dataset[dataKey] = value;
           } else {
             el.setAttribute(key, value);
+            this.setValueProp(el, key, value);
           }
         }
   
+        const directives = node.props?.["z-directives"];
+        if (directives) {
+          el._directives = directives;
+          directives.forEach((binding) => this.callDirective(el, binding, "created"));
+        }
         const children = Array.isArray(node.children) ? node.children : [];
         children.forEach((child) => {
           if (child !== undefined && child !== null) {
-            this.render(child, el, nonce);
+            this.render(child, el._teleport?.host || el, nonce);
           }
         });
+        if (node.props?.["z-model"]) this.setModelValue(el, node.props["z-model"]);
   
+        directives?.forEach((binding) => this.callDirective(el, binding, "beforeMount"));
         container.appendChild(el);
+        if (el._teleport) this.placeTeleport(el, node.props);
+        if (directives) {
+          const mounted = () => directives.forEach((binding) => this.callDirective(el, binding, "mounted"));
+          if (this._mountQueue) this._mountQueue.push(mounted);
+          else mounted();
+        }
         return el;
       } catch (e) {
         console.error("Render error:", {
@@ -850,16 +2815,55 @@ const LiteZ = {
       }
     },
   
-    renderToString(node) {
+    renderToString(node, context = null) {
       const sanitize = (html) => (typeof DOMPurify !== "undefined" ? DOMPurify.sanitize(html) : html);
+      const escape = (text) => String(text).replace(/[&<>"']/g, (ch) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[ch]);
+      const voidTags = ["area", "base", "br", "col", "embed", "hr", "img", "input", "link", "meta", "source", "track", "wbr"];
       try {
         if (!node) return "";
-        if (typeof node === "string") return sanitize(node);
-        const propsStr = Object.entries(node.props || {})
-          .map(([key, value]) => (key.startsWith("@") ? "" : `${key}="${sanitize(String(value))}"`))
+        if (Array.isArray(node)) return node.map((child) => this.renderToString(child, context)).join("");
+        if (typeof node !== "object") return escape(node);
+        if (node.type === "html") return sanitize(this.toDisplayString(node.value));
+        const definition = node.slots && this.resolveComponent(node.tag);
+        if (definition) {
+          const instance = definition.createInstance(node.props, node.slots);
+          const html = this.renderToString(instance.template(), context);
+          instance.scope?.stop();
+          return html;
+        }
+        const { "z-model": model, "z-transition": _, "z-transition-group": __, "z-directives": ___, "z-ref": ____, ...props } = node.props || {};
+        const teleport = node.tag === "teleport" && { to: props.to, disabled: this.teleportDisabled(props.disabled) };
+        if (teleport) {
+          delete props.to;
+          delete props.disabled;
+        }
+        if (model && node.tag === "input") {
+          if (props.type === "checkbox") {
+            props.checked = Array.isArray(model.value)
+              ? model.value.some((item) => this.looseEqual(item, props.value ?? "on"))
+              : "true-value" in props
+              ? this.looseEqual(model.value, props["true-value"])
+              : !!model.value;
+          } else if (props.type === "radio") {
+            props.checked = this.looseEqual(model.value, props.value);
+          } else {
+            props.value = model.value;
+          }
+        }
+        const propsStr = Object.entries(props)
+          .filter(([key, value]) => !key.startsWith("@") && typeof value !== "function" && value !== false && value !== null && value !== undefined)
+          .map(([key, value]) => `${key}="${escape(value)}"`)
           .join(" ");
-        const childrenStr = (Array.isArray(node.children) ? node.children : []).map((child) => this.renderToString(child)).join("");
-        return `<${node.tag}${propsStr ? " " + propsStr : ""}>${childrenStr}</${node.tag}>`;
+        const open = `<${node.tag}${propsStr ? " " + propsStr : ""}>`;
+        if (voidTags.includes(node.tag)) return open;
+        const children = model && node.tag === "textarea" ? [this.toDisplayString(model.value)] : node.slots ? [node.slots.default?.()].flat() : Array.isArray(node.children) ? node.children : [];
+        const childrenStr = children.map((child) => this.renderToString(child, context)).join("");
+        if (teleport && !teleport.disabled && context && typeof teleport.to === "string") {
+          context.teleports = context.teleports || {};
+          context.teleports[teleport.to] = (context.teleports[teleport.to] || "") + childrenStr;
+          return `${open}</${node.tag}>`;
+        }
+        return `${open}${childrenStr}</${node.tag}>`;
       } catch (e) {
         if (this.errorHandler) this.errorHandler(e);
         else console.error("renderToString error:", e);
@@ -873,8 +2877,13 @@ const LiteZ = {
         const comp = container._component || this.components[node.tag]?.createInstance();
         if (comp) {
           comp.dom = container.querySelector(node.tag) || container;
-          comp.on.mount?.(comp.state.get(), comp.props.get());
-          this.applyDirectives(container, comp.state);
+          comp.dom._component = comp;
+          const hydrateDom = () => {
+            comp.on.mount?.(comp.state.get(), comp.props.get());
+            this.applyDirectives(container, comp.state);
+          };
+          if (comp.scope) comp.scope.run(hydrateDom);
+          else hydrateDom();
           container._component = comp;
         }
       } catch (e) {
@@ -923,43 +2932,48 @@ const LiteZ = {
     update(parent, newNode, oldNode, index = 0) {
       if (typeof document === "undefined") return;
       try {
-        const child = parent.childNodes[index];
+        const child = this.liveChildren(parent)[index];
         if (!child) return;
-        const comp = child._component || parent._component;
-  
-        if (!newNode && child) {
-          comp?.on.beforeDestroy?.(comp.state.get(), comp.props.get());
-          if (child._litez_cleanup) child._litez_cleanup();
-          parent.removeChild(child);
-          this.eventMap.delete(child);
-          comp?.on.destroyed?.(comp.state.get(), comp.props.get());
+  
+        if ((newNode === undefined || newNode === null) && child) {
+          this.unmount(child);
           return;
         }
-        if (newNode && !child) {
-          const newEl = this.render(newNode, parent);
-          comp?.on.mount?.(comp.state.get(), comp.props.get());
-          return newEl;
-        }
   
         if (typeof newNode === "string" && typeof oldNode === "string") {
-          if (newNode !== oldNode) child.textContent = newNode.trim();
+          if (newNode !== oldNode) child.textContent = newNode;
           return;
         }
   
         if (!newNode?.tag || !oldNode?.tag || newNode.tag !== oldNode.tag) {
-          comp?.on.beforeDestroy?.(comp.state.get(), comp.props.get());
-          if (child._litez_cleanup) child._litez_cleanup();
-          const newEl = this.render(newNode, document.createElement("div"));
-          parent.replaceChild(newEl, child);
-          this.eventMap.delete(child);
-          comp?.on.destroyed?.(comp.state.get(), comp.props.get());
-          comp?.on.mount?.(comp.state.get(), comp.props.get());
+          const newEl = this.insertNode(parent, newNode, child);
+          if (!newEl) return;
+          const owner = child._component;
+          const wasComponent = oldNode?.slots && this.resolveComponent(oldNode.tag);
+          if (owner?.dom === child && !wasComponent) {
+            owner.dom = newEl;
+            newEl._component = owner;
+            child._component = null;
+          }
+          this.unmount(child);
+          return;
+        }
+  
+        const owner = child._component;
+        if (newNode.slots && owner?.dom === child && owner.definition && owner.definition === this.resolveComponent(newNode.tag)) {
+          this.untracked(() => {
+            owner.setProps(newNode.props);
+            Object.assign(owner.slots, newNode.slots);
+          });
           return;
         }
   
-        comp?.on.beforeUpdate?.(comp.state.get(), comp.props.get());
         const newFlags = newNode.flags || 0;
         const oldFlags = oldNode.flags || 0;
+        if (child._keepAlive) Object.assign(child._keepAlive, { include: newNode.props.include, exclude: newNode.props.exclude, max: newNode.props.max });
+        for (const key of new Set([...Object.keys(oldNode.props || {}), ...Object.keys(newNode.props || {})])) {
+          if (key.startsWith("@")) this.patchEvent(child, key.slice(1), newNode.props?.[key]);
+        }
   
         if (newFlags || oldFlags) {
           const newProps = newNode.props || {};
@@ -970,71 +2984,402 @@ const LiteZ = {
           if (newFlags & this.PATCH_FLAGS.CLASS || oldFlags & this.PATCH_FLAGS.CLASS) {
             if (newProps.class !== oldProps.class) child.setAttribute("class", newProps.class || "");
           }
+          if (newFlags & this.PATCH_FLAGS.STYLE || oldFlags & this.PATCH_FLAGS.STYLE) {
+            if (newProps.style !== oldProps.style) this.patchStyle(child, newProps.style, oldProps.style);
+          }
           if (newFlags & this.PATCH_FLAGS.PROPS || newFlags & this.PATCH_FLAGS.FULL_PROPS) {
             for (const key in oldProps) if (!(key in newProps) && !key.startsWith("@")) child.removeAttribute(key);
             for (const [key, value] of Object.entries(newProps)) {
-              if (key.startsWith("@")) {
-                const eventName = key.slice(1);
-                const oldListeners = this.eventMap.get(child) || {};
-                if (oldListeners[eventName]) child.removeEventListener(eventName, oldListeners[eventName]);
-                this.eventMap.set(child, { ...oldListeners, [eventName]: value });
-                child.addEventListener(eventName, value);
-              } else if (key.startsWith("data-")) {
+              if (key.startsWith("@") || key === "z-model" || key === "z-directives" || key === "z-ref" || key.startsWith("z-transition") || (child._teleport && (key === "to" || key === "disabled"))) continue;
+              if (key.startsWith("data-")) {
                 const dataKey = key.slice(5).replace(/-([a-z])/g, (_, letter) => letter.toUpperCase());
                 child.dataset[dataKey] = value;
+              } else if (key === "style") {
+                if (oldProps.style !== value) this.patchStyle(child, value, oldProps.style);
               } else if (oldProps[key] !== value) {
                 child.setAttribute(key, value);
+                this.setValueProp(child, key, value);
               }
             }
           }
+          if (child._transition && newProps.style !== oldProps.style) {
+            const display = (style) => this.parseStyle(style).display;
+            if (display(oldProps.style) === "none" && display(newProps.style) !== "none") {
+              this.runTransition(child, "enter");
+            } else if (display(oldProps.style) !== "none" && display(newProps.style) === "none") {
+              child.style.display = display(oldProps.style) || "";
+              this.runTransition(child, "leave", () => (child.style.display = "none"));
+            }
+          }
         }
   
+        if (child._teleport) this.placeTeleport(child, newNode.props);
+        const host = child._teleport?.host || child;
         const newChildren = Array.isArray(newNode.children) ? newNode.children : [];
         const oldChildren = Array.isArray(oldNode.children) ? oldNode.children : [];
+        const oldEls = Array.from(this.liveChildren(host));
+        const flip = host._transitionGroup && this.moveTransition(host, oldEls);
         const keyMap = new Map();
-        oldChildren.forEach((child, i) => {
-          if (child?.key !== undefined) keyMap.set(child.key, { node: child, index: i });
+        const unkeyed = [];
+        oldChildren.forEach((oldChild, i) => {
+          if (oldChild?.key != null) keyMap.set(oldChild.key, i);
+          else unkeyed.push(i);
         });
   
-        let i = 0,
-          j = 0;
-        while (i < newChildren.length || j < oldChildren.length) {
-          const newChild = newChildren[i];
-          const oldChild = oldChildren[j];
-          const currentChild = parent.childNodes[j];
-  
-          if (!newChild) {
-            comp?.on.beforeDestroy?.(comp.state.get(), comp.props.get());
-            if (currentChild._litez_cleanup) currentChild._litez_cleanup();
-            parent.removeChild(currentChild);
-            this.eventMap.delete(currentChild);
-            comp?.on.destroyed?.(comp.state.get(), comp.props.get());
-            j++;
-          } else if (!oldChild) {
-            this.render(newChild, parent);
-            i++;
-          } else if (newChild.key && keyMap.has(newChild.key)) {
-            const { node: matchedOldChild, index: oldIdx } = keyMap.get(newChild.key);
-            if (oldIdx !== j) parent.insertBefore(parent.childNodes[oldIdx], currentChild);
-            this.update(parent, newChild, matchedOldChild, j);
-            keyMap.delete(newChild.key);
-            i++;
-            j++;
-          } else {
-            parent.replaceChild(this.render(newChild, document.createElement("div")), currentChild);
-            if (currentChild._litez_cleanup) currentChild._litez_cleanup();
-            this.eventMap.delete(currentChild);
-            i++;
-            j++;
+        const reused = new Set();
+        let unkeyedIndex = 0;
+        const matches = newChildren.map((newChild) => {
+          const oldIdx = newChild?.key != null ? keyMap.get(newChild.key) : unkeyed[unkeyedIndex++];
+          if (oldIdx === undefined || !oldEls[oldIdx] || reused.has(oldIdx)) return undefined;
+          reused.add(oldIdx);
+          return oldIdx;
+        });
+  
+        oldEls.forEach((oldEl, i) => {
+          if (!reused.has(i) && oldEl.parentNode === host) this.unmount(oldEl);
+        });
+        newChildren.forEach((newChild, i) => {
+          const oldIdx = matches[i];
+          const anchor = this.liveChildren(host)[i] || null;
+          if (oldIdx === undefined) {
+            this.insertNode(host, newChild, anchor);
+            return;
           }
+          if (oldEls[oldIdx] !== anchor) host.insertBefore(oldEls[oldIdx], anchor);
+          this.update(host, newChild, oldChildren[oldIdx], i);
+        });
+        if (flip) flip();
+        if (newNode.props?.["z-model"]) this.setModelValue(child, newNode.props["z-model"]);
+        child._ref = newNode.props?.["z-ref"];
+        const directives = newNode.props?.["z-directives"];
+        if (directives) {
+          const previous = child._directives || [];
+          directives.forEach((binding, i) => (binding.oldValue = previous[i]?.value));
+          child._directives = directives;
+          directives.forEach((binding) => this.callDirective(child, binding, "updated"));
         }
-        comp?.on.updated?.(comp.state.get(), comp.props.get());
       } catch (e) {
         if (this.errorHandler) this.errorHandler(e);
         else console.error("Update error:", e);
       }
     },
   
+    mountComponent(instance, container, anchor = null) {
+      if (typeof document === "undefined") return null;
+      const mount = () => {
+        instance.on.beforeMount?.(instance.state.get(), instance.props.get());
+        let vnode = null;
+        this.effect(
+          () => {
+            const node = instance.template();
+            if (!vnode) {
+              instance.dom = this.render(node, container);
+              if (instance.dom) {
+                instance.dom._component = instance;
+                if (anchor) container.insertBefore(instance.dom, anchor);
+              }
+              this.updateRefs(instance);
+            } else {
+              const dom = instance.dom;
+              if (!dom?.parentNode) return;
+              instance.on.beforeUpdate?.(instance.state.get(), instance.props.get());
+              this.flushMounts(() => this.update(dom.parentNode, node, vnode, Array.prototype.indexOf.call(this.liveChildren(dom.parentNode), dom)));
+              this.updateRefs(instance);
+              instance.on.updated?.(instance.state.get(), instance.props.get());
+            }
+            vnode = node;
+          },
+          { scheduler: (job) => this.queueJob(job) }
+        );
+        if (instance.dom) this.applyDirectives(instance.dom, instance.state);
+        const mounted = () => instance.on.mount?.(instance.state.get(), instance.props.get());
+        if (this._mountQueue) this._mountQueue.push(mounted);
+        else mounted();
+        return instance.dom;
+      };
+      return this.flushMounts(() => (instance.scope ? instance.scope.run(mount) : mount()));
+    },
+  
+    updateRefs(instance, owned = true) {
+      const refs = instance.refs;
+      if (!refs || !instance.dom) return;
+      const owners = new Set();
+      Object.keys(refs).forEach((name) => delete refs[name]);
+      this.subtree(instance.dom).forEach((node) => {
+        const component = node._component?.dom === node && node !== instance.dom ? node._component : null;
+        [
+          [node._ref, node],
+          [component?.parentRef, component?.exposed],
+        ].forEach(([ref, value]) => {
+          if (!ref || value === undefined) return;
+          if (ref.refs !== refs) return owners.add(ref.refs);
+          if (ref.inFor) (refs[ref.name] ||= []).push(value);
+          else refs[ref.name] = value;
+        });
+      });
+      if (!owned) return;
+      owners.forEach((owner) => {
+        const ownerInstance = this._refOwners.get(owner);
+        if (ownerInstance?.dom && !instance.dom.contains(ownerInstance.dom)) this.updateRefs(ownerInstance, false);
+      });
+    },
+  
+    flushMounts(fn) {
+      if (this._mountQueue) return fn();
+      this._mountQueue = [];
+      try {
+        return fn();
+      } finally {
+        const queue = this._mountQueue;
+        this._mountQueue = null;
+        queue.forEach((mounted) => mounted());
+      }
+    },
+  
+    unmount(el) {
+      if (!el) return;
+      const cache = el.parentNode?._keepAlive;
+      if (cache && el._component?.dom === el && cache.instances.get(el._component.definition?.name) === el._component) {
+        cache.storage.appendChild(el);
+        this.subtree(el).forEach((node) => node._teleport && node.appendChild(node._teleport.host));
+        this.toggleActive(el, "deactivated");
+        this.pruneKeepAlive(cache);
+        return;
+      }
+      if (el._transition && !el._leaving && el.isConnected) {
+        const parent = el.parentNode;
+        el._leaving = true;
+        parent._leavingCount = (parent._leavingCount || 0) + 1;
+        this.runTransition(el, "leave", () => {
+          parent._leavingCount--;
+          if (el.isConnected) this.unmount(el);
+        });
+        return;
+      }
+      try {
+        const nodes = this.subtree(el);
+        const roots = nodes.filter((node) => node._component?.dom === node && node._component.scope?.active !== false);
+        roots.forEach((node) => node._component.on.beforeDestroy?.(node._component.state.get(), node._component.props.get()));
+        nodes.forEach((node) => {
+          if (node._litez_cleanup) node._litez_cleanup();
+          if (node._keepAlive) Array.from(node._keepAlive.storage.childNodes).forEach((cached) => this.unmount(cached));
+          this.eventMap.delete(node);
+        });
+        el.parentNode?.removeChild(el);
+        nodes.forEach((node) => node._teleport?.host.remove());
+        nodes.forEach((node) => node._directives?.forEach((binding) => this.callDirective(node, binding, "unmounted")));
+        roots.reverse().forEach((node) => node._component.on.destroyed?.(node._component.state.get(), node._component.props.get()));
+      } catch (e) {
+        if (this.errorHandler) this.errorHandler(e);
+        else console.error("Unmount error:", e);
+      }
+    },
+  
+    insertNode(parent, node, anchor = null) {
+      const holder = document.createElement("div");
+      holder._keepAlive = parent._keepAlive;
+      const el = this.render(node, holder);
+      if (!el) return null;
+      parent.insertBefore(el, anchor);
+      if (el._transition) this.runTransition(el, "enter");
+      return el;
+    },
+  
+    keepsAlive(cache, name) {
+      const names = [name, name.replace(/([a-z0-9])([A-Z])/g, "$1-$2").toLowerCase()];
+      const matches = (pattern) =>
+        (Array.isArray(pattern) ? pattern : typeof pattern === "string" ? pattern.split(",") : [pattern]).some((item) =>
+          item instanceof RegExp ? names.some((candidate) => item.test(candidate)) : names.includes(String(item).trim())
+        );
+      return (cache.include === undefined || cache.include === null || cache.include === "" || matches(cache.include)) && !(cache.exclude !== undefined && cache.exclude !== null && cache.exclude !== "" && matches(cache.exclude));
+    },
+  
+    activateComponent(cache, definition, node, container) {
+      let instance = cache.instances.get(definition.name);
+      cache.instances.delete(definition.name);
+      if (instance?.dom) {
+        cache.instances.set(definition.name, instance);
+        instance.setProps(node.props);
+        Object.assign(instance.slots, node.slots);
+        container.appendChild(instance.dom);
+        this.subtree(instance.dom).forEach((el) => el._teleport && this.placeTeleport(el, el._teleport.props));
+      } else {
+        instance = definition.createInstance(node.props, node.slots);
+        cache.instances.set(definition.name, instance);
+        this.mountComponent(instance, container);
+        this.pruneKeepAlive(cache);
+      }
+      const dom = instance.dom;
+      if (dom) {
+        const activate = () => this.toggleActive(dom, "activated");
+        if (this._mountQueue) this._mountQueue.push(activate);
+        else activate();
+      }
+      return dom;
+    },
+  
+    pruneKeepAlive(cache) {
+      const max = Number(cache.max);
+      const stale = max > 0 && cache.instances.size > max && [...cache.instances].find(([, cached]) => !cached.dom || cached.dom.parentNode === cache.storage);
+      if (!stale) return;
+      cache.instances.delete(stale[0]);
+      if (stale[1].dom) this.unmount(stale[1].dom);
+      else stale[1].scope?.stop();
+    },
+  
+    toggleActive(el, hook) {
+      this.subtree(el)
+        .filter((node) => node._component?.dom === node)
+        .forEach((node) => node._component.on[hook]?.(node._component.state.get(), node._component.props.get()));
+    },
+  
+    subtree(el) {
+      if (el.nodeType !== 1) return [el];
+      return [el, ...el.querySelectorAll("*")].flatMap((node) => (node._teleport && !el.contains(node._teleport.host) ? [node, ...this.subtree(node._teleport.host)] : [node]));
+    },
+  
+    teleportDisabled(value) {
+      return value !== undefined && value !== null && value !== false && value !== "false";
+    },
+  
+    placeTeleport(el, props = {}) {
+      const { host } = el._teleport;
+      el._teleport.props = props;
+      const target = this.teleportDisabled(props.disabled) ? el : typeof props.to === "string" ? document.querySelector(props.to) : props.to;
+      if (!target) {
+        if (host.parentNode === el) return;
+        console.warn(`Teleport target "${props.to}" not found; rendering in place`);
+        el.appendChild(host);
+        return;
+      }
+      if (host.parentNode !== target) target.appendChild(host);
+    },
+  
+    liveChildren(parent) {
+      return parent._leavingCount ? Array.from(parent.childNodes).filter((node) => !node._leaving) : parent.childNodes;
+    },
+  
+    runTransition(el, type, done = null) {
+      if (!el.isConnected) {
+        done?.();
+        return;
+      }
+      const name = el._transition;
+      const hooks = this.transitions[name] || {};
+      const stage = type[0].toUpperCase() + type.slice(1);
+      const [from, active, to] = ["from", "active", "to"].map((step) => `${name}-${type}-${step}`);
+      const nextFrame = typeof requestAnimationFrame === "function" ? requestAnimationFrame : (fn) => setTimeout(fn, 16);
+      let finished = false;
+      let stop = null;
+      const finish = (cancelled) => {
+        if (finished) return;
+        finished = true;
+        stop?.();
+        el._transitionCancel = null;
+        el.classList.remove(from, active, to);
+        try {
+          if (cancelled) hooks[`${type}Cancelled`]?.(el);
+          else hooks[`after${stage}`]?.(el);
+        } catch (e) {
+          if (this.errorHandler) this.errorHandler(e);
+          else console.error("Transition error:", e);
+        }
+        if (!cancelled) done?.();
+      };
+      try {
+        el._transitionCancel?.();
+        el._transitionCancel = () => finish(true);
+        hooks[`before${stage}`]?.(el);
+        el.classList.add(from, active);
+        nextFrame(() =>
+          nextFrame(() => {
+            if (finished) return;
+            el.classList.remove(from);
+            el.classList.add(to);
+            const hook = hooks[type];
+            if (hook?.length > 1) return hook(el, () => finish(false));
+            hook?.(el);
+            stop = this.whenTransitionEnds(el, () => finish(false));
+          })
+        );
+      } catch (e) {
+        if (this.errorHandler) this.errorHandler(e);
+        else console.error("Transition error:", e);
+        finish(false);
+      }
+    },
+  
+    whenTransitionEnds(el, done) {
+      const style = getComputedStyle(el);
+      const toMs = (time) => (time.trim().endsWith("ms") ? 1 : 1000) * (parseFloat(time) || 0);
+      const timing = (type) => {
+        const durations = (style[`${type}Duration`] || "").split(",");
+        const delays = (style[`${type}Delay`] || "").split(",");
+        return { type, count: durations.length, timeout: Math.max(...durations.map((duration, i) => toMs(duration) + toMs(delays[i % delays.length]))) };
+      };
+      const { type, count, timeout } = [timing("transition"), timing("animation")].reduce((a, b) => (b.timeout > a.timeout ? b : a));
+      if (!timeout) {
+        done();
+        return () => {};
+      }
+      let ended = 0;
+      const onEnd = (e) => {
+        if (e.target === el && ++ended >= count) {
+          stop();
+          done();
+        }
+      };
+      const timer = setTimeout(() => {
+        stop();
+        done();
+      }, timeout + 1);
+      const stop = () => {
+        clearTimeout(timer);
+        el.removeEventListener(`${type}end`, onEnd);
+      };
+      el.addEventListener(`${type}end`, onEnd);
+      return stop;
+    },
+  
+    moveTransition(parent, els) {
+      const moveClass = `${parent._transitionGroup}-move`;
+      const positions = new Map();
+      els.forEach((el) => {
+        if (el.nodeType !== 1) return;
+        el._moveCancel?.();
+        positions.set(el, el.getBoundingClientRect());
+      });
+      return () => {
+        const moved = [];
+        positions.forEach((old, el) => {
+          if (el.parentNode !== parent || el._leaving) return;
+          const now = el.getBoundingClientRect();
+          const dx = old.left - now.left;
+          const dy = old.top - now.top;
+          if (!dx && !dy) return;
+          el.style.transform = `translate(${dx}px, ${dy}px)`;
+          el.style.transitionDuration = "0s";
+          moved.push(el);
+        });
+        if (!moved.length) return;
+        void document.body.offsetHeight;
+        moved.forEach((el) => {
+          el.classList.add(moveClass);
+          el.style.transform = "";
+          el.style.transitionDuration = "";
+          const finish = () => {
+            el._moveCancel = null;
+            el.classList.remove(moveClass);
+          };
+          const stop = this.whenTransitionEnds(el, finish);
+          el._moveCancel = () => {
+            stop();
+            finish();
+          };
+        });
+      };
+    },
+  
     router(routes, target = "#app", middlewares = []) {
       if (typeof document === "undefined") return { go: () => {}, link: () => this.h("a", {}) };
       try {
@@ -1056,6 +3401,9 @@ const LiteZ = {
           return "/" + stack.join("/");
         };
   
+        const routeCache = new Map();
+        const routeStorage = document.createElement("div");
+  
         const parseRoute = (path) => {
           const paramPattern = /:([^\/]+)/g;
           const regex = new RegExp("^" + path.replace(paramPattern, "([^/]+)") + "$");
@@ -1093,29 +3441,34 @@ const LiteZ = {
                 on: {},
               }),
             };
-          const comp = compDef.createInstance({ ...route.props, params: matchedRoute?.params || {} });
+          const routeProps = { ...route.props, params: matchedRoute?.params || {} };
+          const cached = route.keepAlive && compDef.name && routeCache.get(compDef.name);
+          const comp = cached || compDef.createInstance(routeProps);
+          if (cached) cached.setProps(routeProps);
   
           let next = true;
           for (const middleware of middlewares) {
             next = middleware(path, route, comp.state.get());
-            if (!next) return;
+            if (!next) {
+              if (!cached) comp.scope?.stop();
+              return;
+            }
           }
   
           try {
-            const node = comp.template();
-            if (!comp.dom) {
-              comp.on.beforeMount?.(comp.state.get(), comp.props.get());
-              comp.dom = this.render(node, container);
-              comp.on.mount?.(comp.state.get(), comp.props.get());
-            } else {
-              comp.on.beforeUpdate?.(comp.state.get(), comp.props.get());
-              this.update(container, node, comp.dom);
-              comp.dom = node;
-              comp.on.update?.(comp.state.get(), comp.props.get());
-              comp.on.updated?.(comp.state.get(), comp.props.get());
-            }
+            const previous = container._component;
+            if (previous === comp) return;
+            if (previous?.dom && routeCache.get(previous.definition?.name) === previous) {
+              routeStorage.appendChild(previous.dom);
+              this.toggleActive(previous.dom, "deactivated");
+            } else if (previous?.dom) this.unmount(previous.dom);
             container._component = comp;
-            this.applyDirectives(container, comp.state);
+            if (cached) container.appendChild(comp.dom);
+            else this.mountComponent(comp, container);
+            if (route.keepAlive && compDef.name) {
+              routeCache.set(compDef.name, comp);
+              if (comp.dom) this.toggleActive(comp.dom, "activated");
+            }
           } catch (err) {
             if (comp.on.error) comp.on.error(err);
             else if (this.errorHandler) this.errorHandler(err);
@@ -1123,12 +3476,7 @@ const LiteZ = {
           }
         };
   
-        window.addEventListener("popstate", () => {
-          const oldComp = container._component;
-          if (oldComp?.dom && oldComp.on.beforeDestroy) oldComp.on.beforeDestroy(oldComp.state.get(), oldComp.props.get());
-          showRoute();
-          if (oldComp?.dom && oldComp.on.destroyed) oldComp.on.destroyed(oldComp.state.get(), oldComp.props.get());
-        });
+        window.addEventListener("popstate", showRoute);
         showRoute();
   
         return {
@@ -1152,7 +3500,7 @@ const LiteZ = {
       }
     },
   
-    store({ state = {}, mutations = {}, actions = {}, getters = {}, modules = {}, middlewares = [] }) {
+    store({ state = {}, mutations = {}, actions = {}, getters = {}, modules = {}, middlewares = [], strict = false }) {
       try {
         const data = this.state(state);
         const computedGetters = {};
@@ -1160,7 +3508,15 @@ const LiteZ = {
         let historyIndex = -1;
         const maxHistory = 50;
   
-        const clone = (obj) => (typeof structuredClone === "function" ? structuredClone(obj) : JSON.parse(JSON.stringify(obj)));
+        const clone = (value) => {
+          const raw = this.toRaw(value);
+          if (Array.isArray(raw)) return raw.map(clone);
+          if (raw instanceof Date) return new Date(raw);
+          if (raw instanceof Map) return new Map([...raw].map(([key, item]) => [clone(key), clone(item)]));
+          if (raw instanceof Set) return new Set([...raw].map(clone));
+          if (raw && typeof raw === "object") return Object.fromEntries(Object.entries(raw).map(([key, item]) => [key, clone(item)]));
+          return raw;
+        };
   
         const moduleStores = {};
         for (const [moduleName, module] of Object.entries(modules)) {
@@ -1170,11 +3526,12 @@ const LiteZ = {
             actions: module.actions || {},
             getters: module.getters || {},
             middlewares: module.middlewares || [],
+            strict: module.strict ?? strict,
           });
         }
   
         for (const [key, fn] of Object.entries(getters)) {
-          computedGetters[key] = this.computed(fn);
+          computedGetters[key] = this.computed(() => fn(data.get(), computedGetters));
         }
   
         const commit = (type, payload) => {
@@ -1206,15 +3563,23 @@ const LiteZ = {
           run(index);
         };
   
+        const exposedState = strict ? this.readonly(data) : data;
+  
         this.store = {
-          state: data,
+          state: exposedState,
           getters: computedGetters,
           modules: moduleStores,
           commit,
+          replaceState: (newState) => data.set(newState),
+          getHistory: () => ({ entries: clone(history), index: historyIndex }),
+          restoreHistory: ({ entries = [], index = entries.length - 1 } = {}) => {
+            history.splice(0, history.length, ...entries.slice(-maxHistory));
+            historyIndex = Math.min(index, history.length - 1);
+          },
           dispatch: (type, payload) => {
             const action = actions[type];
             if (action) {
-              const ctx = { state: data, commit, modules: moduleStores };
+              const ctx = { state: exposedState, commit, modules: moduleStores };
               runMiddleware(type, ctx, payload, () => action(ctx, payload));
               return true;
             }
@@ -1250,26 +3615,197 @@ const LiteZ = {
       }
     },
   
+    storage: {
+      local() {
+        return LiteZ.storage.web(typeof localStorage !== "undefined" ? localStorage : null, "localStorage");
+      },
+      session() {
+        return LiteZ.storage.web(typeof sessionStorage !== "undefined" ? sessionStorage : null, "sessionStorage");
+      },
+      web(area, name = "Web storage") {
+        if (!area) throw new Error(`${name} is not available in this environment`);
+        return {
+          getItem: (key) => area.getItem(key),
+          setItem: (key, value) => area.setItem(key, value),
+          removeItem: (key) => area.removeItem(key),
+        };
+      },
+      indexedDB(dbName = "litez", storeName = "persist") {
+        if (typeof indexedDB === "undefined") throw new Error("IndexedDB is not available in this environment");
+        let dbPromise = null;
+        const open = () =>
+          dbPromise ||
+          (dbPromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(dbName, 1);
+            request.onupgradeneeded = () => request.result.createObjectStore(storeName);
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+          }));
+        const run = (mode, fn) =>
+          open().then(
+            (db) =>
+              new Promise((resolve, reject) => {
+                const tx = db.transaction(storeName, mode);
+                const request = fn(tx.objectStore(storeName));
+                tx.oncomplete = () => resolve(request.result);
+                tx.onerror = () => reject(tx.error);
+              })
+          );
+        return {
+          getItem: (key) => run("readonly", (store) => store.get(key)).then((value) => value ?? null),
+          setItem: (key, value) => run("readwrite", (store) => store.put(value, key)),
+          removeItem: (key) => run("readwrite", (store) => store.delete(key)),
+        };
+      },
+      file(dir = ".litez-storage") {
+        if (typeof process === "undefined" || !process.versions?.node) throw new Error("File storage requires Node.js environment");
+        const modules = Promise.all([import("node:fs"), import("node:path")]);
+        const withFile = (key, fn) => modules.then(([fs, path]) => fn(fs, path.join(dir, `${encodeURIComponent(key)}.json`)));
+        return {
+          getItem: (key) => withFile(key, (fs, file) => (fs.existsSync(file) ? fs.readFileSync(file, "utf8") : null)),
+          setItem: (key, value) =>
+            withFile(key, (fs, file) => {
+              fs.mkdirSync(dir, { recursive: true });
+              fs.writeFileSync(file, value);
+            }),
+          removeItem: (key) => withFile(key, (fs, file) => fs.rmSync(file, { force: true })),
+        };
+      },
+    },
+  
+    persist(target, { key = "litez", storage, paths = null, version = 1, migrate = null, debounce = 0, history = false } = {}) {
+      const noop = { ready: Promise.resolve(false), save: () => Promise.resolve(), clear: () => Promise.resolve(), stop: () => {} };
+      try {
+        if (!target || (typeof target.get !== "function" && typeof target.commit !== "function")) {
+          throw new Error("persist target must be a state() object or a store()");
+        }
+        const adapter = storage || this.storage.local();
+        const isStore = typeof target.commit === "function";
+        const source = isStore ? target.state : target;
+        const then = (value, fn) => (value && typeof value.then === "function" ? value.then(fn) : fn(value));
+        const isPlainObject = (value) => Object.prototype.toString.call(value) === "[object Object]";
+        const clone = (value) => (value === undefined ? undefined : JSON.parse(JSON.stringify(value)));
+        const getPath = (obj, path) => path.split(".").reduce((value, part) => (value == null ? undefined : value[part]), obj);
+        const setPath = (obj, path, value) => {
+          const parts = path.split(".");
+          const last = parts.pop();
+          const parent = parts.reduce((node, part) => (isPlainObject(node[part]) ? node[part] : (node[part] = {})), obj);
+          parent[last] = value;
+          return obj;
+        };
+        const merge = (base, patch) => {
+          if (!isPlainObject(base) || !isPlainObject(patch)) return patch;
+          const result = { ...base };
+          for (const [k, v] of Object.entries(patch)) result[k] = merge(base[k], v);
+          return result;
+        };
+  
+        const snapshot = () => {
+          const raw = this.toRaw(source.get());
+          if (!paths) return clone(raw);
+          return paths.reduce((data, path) => {
+            const value = getPath(raw, path);
+            return value === undefined ? data : setPath(data, path, clone(value));
+          }, {});
+        };
+  
+        const restore = (text) => {
+          if (!text) return false;
+          const stored = JSON.parse(text);
+          let data = stored.data;
+          const from = stored.version ?? 0;
+          if (from > version) return false;
+          if (from < version) {
+            if (typeof migrate === "function") {
+              data = migrate(data, from, version);
+            } else if (migrate) {
+              for (let v = from + 1; v <= version; v++) if (migrate[v]) data = migrate[v](data);
+            }
+            if (data === undefined || data === null) return false;
+          }
+          const current = this.toRaw(source.get());
+          const patch = {};
+          for (const [k, v] of Object.entries(data || {})) patch[k] = merge(clone(current[k]), v);
+          if (isStore) target.replaceState(patch);
+          else target.set(patch);
+          if (history && isStore && stored.history) target.restoreHistory(stored.history);
+          return true;
+        };
+  
+        let timer = null;
+        let stopWatch = null;
+        const save = () => {
+          clearTimeout(timer);
+          timer = null;
+          const payload = { version, data: snapshot() };
+          if (history && isStore) payload.history = target.getHistory();
+          return Promise.resolve(adapter.setItem(key, JSON.stringify(payload))).catch((e) => {
+            if (this.errorHandler) this.errorHandler(e);
+            else console.error("Persist save error:", e);
+          });
+        };
+        const schedule = () => {
+          if (debounce > 0) {
+            clearTimeout(timer);
+            timer = setTimeout(save, debounce);
+          } else {
+            save();
+          }
+        };
+        const start = (restored) => {
+          const getter = paths ? () => paths.map((path) => this.traverse(getPath(source.get(), path))) : () => this.traverse(source.get());
+          stopWatch = this.watch(getter, schedule, { deep: true, flush: "post" });
+          return restored;
+        };
+  
+        const ready = then(adapter.getItem(key), (text) => start(restore(text)));
+        const handle = {
+          ready: Promise.resolve(ready).catch((e) => {
+            if (this.errorHandler) this.errorHandler(e);
+            else console.error("Persist restore error:", e);
+            if (!stopWatch) start(false);
+            return false;
+          }),
+          save,
+          clear: () => Promise.resolve(adapter.removeItem(key)),
+          stop: () => {
+            if (timer) save();
+            stopWatch?.();
+          },
+        };
+        if (this._activeScope) this.onScopeDispose(handle.stop);
+        return handle;
+      } catch (e) {
+        if (this.errorHandler) this.errorHandler(e);
+        else console.error("Persist error:", e);
+        return noop;
+      }
+    },
+  
     lazy(name, loader) {
       try {
-        const placeholder =
-          this.components["lite-suspense"]?.createInstance() || {
+        const placeholder = this.components["lite-suspense"] || {
+          createInstance: () => ({
             template: () => this.h("div", {}, "Loading..."),
             state: this.state({ loading: true }),
             props: this.state({}),
-          };
+            on: {},
+            dom: null,
+          }),
+        };
         this.components[name] = {
           createInstance: (props, slots) => {
             const instance = placeholder.createInstance(props, slots);
             loader()
               .then((def) => {
                 this.component(name, def);
-                const newInstance = this.components[name].createInstance(props, slots);
                 instance.state.set("loading", false);
-                if (instance.dom && typeof document !== "undefined") {
-                  const newNode = newInstance.template();
-                  this.update(instance.dom.parentNode, newNode, instance.dom);
-                  instance.dom = newNode;
+                const container = instance.dom?.parentNode;
+                if (container && typeof document !== "undefined") {
+                  const newInstance = this.components[name].createInstance(props, slots);
+                  this.mountComponent(newInstance, container, instance.dom);
+                  this.unmount(instance.dom);
+                  if (container._component === instance) container._component = newInstance;
                 }
               })
               .catch((err) => {
@@ -1295,13 +3831,64 @@ const LiteZ = {
       }
     },
   
+    transition(name, hooks) {
+      try {
+        if (!hooks || typeof hooks !== "object") throw new Error(`Transition "${name}" must be an object of hooks`);
+        this.transitions[name] = hooks;
+      } catch (e) {
+        if (this.errorHandler) this.errorHandler(e);
+        else console.error("Transition registration error:", e);
+      }
+    },
+  
+    resolveDirective(name) {
+      const definition = this.directives[name] || this.directives[name.replace(/-([a-z])/g, (_, letter) => letter.toUpperCase())];
+      if (typeof definition === "function") return { mounted: definition, updated: definition };
+      return definition || null;
+    },
+  
+    callDirective(el, binding, hook) {
+      try {
+        binding.dir[hook]?.(el, binding);
+      } catch (e) {
+        if (this.errorHandler) this.errorHandler(e);
+        else console.error(`Directive ${hook} error:`, e);
+      }
+    },
+  
+    filter(name, fn) {
+      try {
+        if (typeof fn !== "function") throw new Error(`Filter "${name}" must be a function`);
+        this.filters[name] = fn;
+      } catch (e) {
+        if (this.errorHandler) this.errorHandler(e);
+        else console.error("Filter registration error:", e);
+      }
+    },
+  
     applyDirectives(container, state) {
       if (typeof document === "undefined") return;
       try {
         Object.entries(this.directives).forEach(([name, fn]) => {
-          container.querySelectorAll(`[data-${name}]`).forEach((el) => {
-            const value = el.dataset[name];
-            if (value) fn(el, value, state);
+          if (typeof fn !== "function") return;
+          const selector = `[data-${name}]`;
+          [container, ...container.querySelectorAll(selector)].forEach((el) => {
+            if (!el.matches?.(selector) || el._litez_bound?.has(name)) return;
+            const value = el.getAttribute(`data-${name}`);
+            if (!value) return;
+            (el._litez_bound ||= new Set()).add(name);
+            const previous = el._litez_cleanup;
+            el._litez_cleanup = null;
+            fn(el, value, state);
+            const cleanup = el._litez_cleanup;
+            if (cleanup && this._activeScope) this.onScopeDispose(cleanup);
+            el._litez_cleanup =
+              previous && cleanup
+                ? () => {
+                    previous();
+                    cleanup();
+                  }
+                : previous || cleanup;
           });
         });
       } catch (e) {
@@ -1324,7 +3911,9 @@ const LiteZ = {
       try {
         if (!this.events.has(event)) this.events.set(event, []);
         this.events.get(event).push(callback);
-        return () => this.off(event, callback);
+        const off = () => this.off(event, callback);
+        if (this._activeScope) this.onScopeDispose(off);
+        return off;
       } catch (e) {
         if (this.errorHandler) this.errorHandler(e);
         else console.error("On error:", e);
@@ -1380,8 +3969,23 @@ const LiteZ = {
       this.applyDirectives(el, state);
   
       el.querySelectorAll("[data-on]").forEach((child) => {
-        const [event, method] = child.dataset.on.split(":");
-        child.addEventListener(event, () => state.set(method, child.value || true));
+        try {
+          const separator = child.dataset.on.indexOf(":");
+          if (separator === -1) throw new Error(`data-on="${child.dataset.on}" needs an "event:handler" value`);
+          const [event, ...modifiers] = child.dataset.on.slice(0, separator).trim().split(".");
+          const source = child.dataset.on.slice(separator + 1).trim();
+          const expr = this.handlerExpression(source);
+          const handler = ($event) => {
+            const data = state.get();
+            if (/^[A-Za-z_$][\w$]*$/.test(source) && typeof data[source] !== "function") return state.set(source, child.value || true);
+            return this.evaluate(expr, Object.create(data, { $event: { value: $event } }));
+          };
+          const invoker = this.withModifiers(handler, modifiers);
+          child.addEventListener(event, invoker, invoker.listenerOptions);
+        } catch (e) {
+          if (this.errorHandler) this.errorHandler(e);
+          else console.error("Event binding error:", e);
+        }
       });
     },
   
@@ -1529,21 +4133,40 @@ const LiteZ = {
       },
     },
   
-    createApp({ template, data = () => ({}), methods = {}, computed = {}, on = {}, props = {}, slots = {} }) {
+    createApp({ template, data = () => ({}), methods = {}, computed = {}, watch = {}, filters = {}, on = {}, props = {}, slots = {} }) {
       try {
+        const scope = this.effectScope();
+        const inScope = (fn) => (scope.active ? scope.run(fn) : fn());
         const appState = this.state(data());
         const appProps = this.state(props);
         const appComputed = {};
         const appMethods = {};
   
+        const refs = {};
+        const methodContext = { state: appState, props: appProps, methods: appMethods, refs };
         for (const [key, fn] of Object.entries(methods)) {
-          appMethods[key] = fn.bind({ state: appState, props: appProps, methods: appMethods });
+          appMethods[key] = (...args) => inScope(() => fn.apply(methodContext, args));
         }
   
-        for (const [key, fn] of Object.entries(computed)) {
-          appComputed[key] = this.computed(fn);
-          appComputed[key].context = { state: appState };
-        }
+        const computedContext = { state: appState, props: appProps, computed: appComputed, methods: appMethods, refs };
+        scope.run(() => {
+          for (const [key, def] of Object.entries(computed)) {
+            appComputed[key] = this.computed(
+              typeof def === "function"
+                ? () => def.call(computedContext, appState.get(), appProps.get())
+                : {
+                    get: () => def.get.call(computedContext, appState.get(), appProps.get()),
+                    set: (value) => def.set?.call(computedContext, value),
+                  }
+            );
+          }
+  
+          for (const [key, def] of Object.entries(watch)) {
+            const { handler, ...watchOptions } = typeof def === "object" ? def : { handler: def };
+            const callback = typeof handler === "string" ? appMethods[handler] : handler.bind(computedContext);
+            this.watch(() => (key in appComputed ? appComputed[key].value : this.evaluate(key, appState.get())), callback, watchOptions);
+          }
+        });
   
         const appSlots = {};
         for (const [slotName, fn] of Object.entries(slots)) {
@@ -1556,20 +4179,33 @@ const LiteZ = {
           methods: appMethods,
           computed: appComputed,
           slots: appSlots,
+          filters,
+          refs,
         };
   
         const { render: renderTemplate, scopeId } =
           typeof template === "string"
-            ? this.compileTemplate(template, context)
-            : { render: template, scopeId: `app-${Math.random().toString(36).slice(2)}` };
+            ? this.compileTemplate(template, context, undefined, "App")
+            : { render: template, scopeId: template.scopeId || `app-${Math.random().toString(36).slice(2)}` };
   
         const app = {
-          template: renderTemplate,
+          template: () => renderTemplate.call(this, context),
           state: appState,
           props: appProps,
           methods: appMethods,
           computed: appComputed,
-          on,
+          on: {
+            ...Object.fromEntries(Object.entries(on).map(([key, fn]) => [key, typeof fn === "function" ? (...args) => fn.apply(methodContext, args) : fn])),
+            beforeMount: () => inScope(() => on.beforeMount?.call(methodContext, appState.get(), appProps.get())),
+            mount: () => inScope(() => on.mount?.call(methodContext, appState.get(), appProps.get())),
+            destroyed: () => {
+              on.destroyed?.call(methodContext, appState.get(), appProps.get());
+              Object.keys(refs).forEach((key) => delete refs[key]);
+              scope.stop();
+            },
+          },
+          refs,
+          scope,
           dom: null,
           mount(selector) {
             if (typeof document === "undefined") {
@@ -1579,56 +4215,143 @@ const LiteZ = {
             const container = document.querySelector(selector);
             if (!container) throw new Error(`Mount point "${selector}" not found`);
   
-            on.beforeMount?.(appState.get(), appProps.get());
-            const node = this.template();
-            this.dom = this.render(node, container);
+            container.innerHTML = "";
             container._component = this;
-            this.applyDirectives(container, appState);
-            on.mount?.(appState.get(), appProps.get());
-            appState.onChange(() => {
-              on.beforeUpdate?.(appState.get(), appProps.get());
-              const newNode = this.template();
-              this.update(container, newNode, this.dom);
-              this.dom = newNode;
-              on.updated?.(appState.get(), appProps.get());
-            });
+            LiteZ.mountComponent(this, container);
             return this;
           },
+          unmount() {
+            if (!this.dom) return;
+            const container = this.dom.parentNode;
+            LiteZ.unmount(this.dom);
+            if (container?._component === this) container._component = null;
+            this.dom = null;
+          },
         };
   
-        on.created?.(appState.get(), appProps.get());
+        this._refOwners.set(refs, app);
+        inScope(() => on.created?.call(methodContext, appState.get(), appProps.get()));
         return app;
       } catch (e) {
         if (this.errorHandler) this.errorHandler(e);
         else console.error("createApp error:", e);
-        return { mount: () => {} };
+        return { mount: () => {}, unmount: () => {} };
       }
     },
   };
   
   // Register Built-in Directives
+  const resolveForm = (el, state) => {
+    const formEl = el.closest("[data-z-form]");
+    return formEl ? LiteZ.evaluate(formEl.getAttribute("data-z-form"), state.get()) : null;
+  };
+  
+  const visibleError = (form, name) => {
+    const field = form.fields[name];
+    if (!field) throw new Error(`Unknown form field "${name}"`);
+    return field.touched || form.submitCount ? field.errors[0] || "" : "";
+  };
+  
+  const bindField = (el, form, name) => {
+    const field = form.fields[name];
+    if (!field) throw new Error(`Unknown form field "${name}"`);
+    const isCheckbox = el.type === "checkbox";
+    const onInput = () => (field.value = isCheckbox ? el.checked : el.value);
+    const onBlur = () => form.touch(name);
+    el.addEventListener(isCheckbox ? "change" : "input", onInput);
+    el.addEventListener("blur", onBlur);
+    const runner = LiteZ.effect(() => {
+      const value = field.value;
+      if (isCheckbox) el.checked = !!value;
+      else if (el.value !== String(value ?? "")) el.value = value ?? "";
+      const error = visibleError(form, name);
+      el.setAttribute("aria-invalid", String(!!error));
+      el.setCustomValidity?.(error);
+    });
+    return () => {
+      runner.stop();
+      el.removeEventListener(isCheckbox ? "change" : "input", onInput);
+      el.removeEventListener("blur", onBlur);
+    };
+  };
+  
   LiteZ.directive("z-model", function (el, value, state) {
     try {
-      el.value = LiteZ.evaluate(value, state.get()) || "";
-      el.addEventListener("input", () => state.set(value, el.value));
-      const unsubscribe = state.onChange(() => {
-        const newVal = LiteZ.evaluate(value, state.get());
-        if (el.value !== newVal) el.value = newVal || "";
-      });
-      el._litez_cleanup = unsubscribe;
+      if (el.hasAttribute("data-z-field")) {
+        const form = el.getAttribute("data-z-field") ? null : resolveForm(el, state);
+        if (form) el._litez_cleanup = bindField(el, form, value);
+        if (form || el.getAttribute("data-z-field")) return;
+      }
+      const eventName = el.tagName === "SELECT" || el.type === "checkbox" || el.type === "radio" ? "change" : "input";
+      const onInput = () => {
+        const $event = LiteZ.readModel(el, LiteZ.evaluate(value, state.get()));
+        LiteZ.evaluate(`${value} = $event`, Object.create(state.get(), { $event: { value: $event } }));
+      };
+      el.addEventListener(eventName, onInput);
+      const runner = LiteZ.effect(() => LiteZ.setModelValue(el, { value: LiteZ.evaluate(value, state.get()) }));
+      el._litez_cleanup = () => {
+        runner.stop();
+        el.removeEventListener(eventName, onInput);
+      };
     } catch (e) {
       if (LiteZ.errorHandler) LiteZ.errorHandler(e);
       else console.error("z-model directive error:", e);
     }
   });
   
+  LiteZ.directive("z-form", function (el, value, state) {
+    try {
+      const form = LiteZ.evaluate(value, state.get());
+      if (!form || typeof form.submit !== "function") throw new Error(`z-form expects a LiteZ.form(), got "${value}"`);
+      el.setAttribute("novalidate", "");
+      const onSubmit = (e) => form.submit(e);
+      el.addEventListener("submit", onSubmit);
+      const runner = LiteZ.effect(() => {
+        el.classList.toggle("z-form-invalid", !form.valid);
+        el.setAttribute("aria-busy", String(form.submitting));
+        el.querySelectorAll('[type="submit"]').forEach((button) => (button.disabled = form.submitting));
+      });
+      el._litez_cleanup = () => {
+        runner.stop();
+        el.removeEventListener("submit", onSubmit);
+      };
+    } catch (e) {
+      if (LiteZ.errorHandler) LiteZ.errorHandler(e);
+      else console.error("z-form directive error:", e);
+    }
+  });
+  
+  LiteZ.directive("z-field", function (el, value, state) {
+    try {
+      const form = resolveForm(el, state);
+      if (!form) throw new Error(`z-field "${value}" must be inside a z-form`);
+      el._litez_cleanup = bindField(el, form, value);
+    } catch (e) {
+      if (LiteZ.errorHandler) LiteZ.errorHandler(e);
+      else console.error("z-field directive error:", e);
+    }
+  });
+  
+  LiteZ.directive("z-error", function (el, value, state) {
+    try {
+      const form = resolveForm(el, state);
+      if (!form) throw new Error(`z-error "${value}" must be inside a z-form`);
+      const runner = LiteZ.effect(() => {
+        el.textContent = visibleError(form, value);
+      });
+      el._litez_cleanup = runner.stop;
+    } catch (e) {
+      if (LiteZ.errorHandler) LiteZ.errorHandler(e);
+      else console.error("z-error directive error:", e);
+    }
+  });
+  
   LiteZ.directive("z-show", function (el, value, state) {
     try {
-      el.style.display = LiteZ.evaluate(value, state.get()) ? "" : "none";
-      const unsubscribe = state.onChange(() => {
+      const runner = LiteZ.effect(() => {
         el.style.display = LiteZ.evaluate(value, state.get()) ? "" : "none";
       });
-      el._litez_cleanup = unsubscribe;
+      el._litez_cleanup = runner.stop;
     } catch (e) {
       if (LiteZ.errorHandler) LiteZ.errorHandler(e);
       else console.error("z-show directive error:", e);
@@ -1637,11 +4360,10 @@ const LiteZ = {
   
   LiteZ.directive("show-when", function (el, value, state) {
     try {
-      el.style.display = LiteZ.evaluate(value, state.get()) ? "" : "none";
-      const unsubscribe = state.onChange(() => {
+      const runner = LiteZ.effect(() => {
         el.style.display = LiteZ.evaluate(value, state.get()) ? "" : "none";
       });
-      el._litez_cleanup = unsubscribe;
+      el._litez_cleanup = runner.stop;
     } catch (e) {
       if (LiteZ.errorHandler) LiteZ.errorHandler(e);
       else console.error("show-when directive error:", e);
@@ -1650,11 +4372,10 @@ const LiteZ = {
   
   LiteZ.directive("set-text", function (el, value, state) {
     try {
-      el.textContent = LiteZ.evaluate(value, state.get()) || "";
-      const unsubscribe = state.onChange(() => {
+      const runner = LiteZ.effect(() => {
         el.textContent = LiteZ.evaluate(value, state.get()) || "";
       });
-      el._litez_cleanup = unsubscribe;
+      el._litez_cleanup = runner.stop;
     } catch (e) {
       if (LiteZ.errorHandler) LiteZ.errorHandler(e);
       else console.error("set-text directive error:", e);
@@ -1663,11 +4384,10 @@ const LiteZ = {
   
   LiteZ.directive("set-html", function (el, value, state) {
     try {
-      el.innerHTML = LiteZ.evaluate(value, state.get()) || "";
-      const unsubscribe = state.onChange(() => {
+      const runner = LiteZ.effect(() => {
         el.innerHTML = LiteZ.evaluate(value, state.get()) || "";
       });
-      el._litez_cleanup = unsubscribe;
+      el._litez_cleanup = runner.stop;
     } catch (e) {
       if (LiteZ.errorHandler) LiteZ.errorHandler(e);
       else console.error("set-html directive error:", e);
@@ -1678,20 +4398,7 @@ const LiteZ = {
     try {
       const [prefix, attr] = attrName.split(":");
       if (prefix !== "bind" || !attr) return;
-      const val = LiteZ.evaluate(value, state.get());
-      if (attr === "class") {
-        if (typeof val === "string") el.className = val;
-        else if (Array.isArray(val)) el.className = val.join(" ");
-        else if (typeof val === "object") {
-          Object.entries(val).forEach(([cls, condition]) => {
-            if (condition) el.classList.add(cls);
-            else el.classList.remove(cls);
-          });
-        }
-      } else {
-        el.setAttribute(attr, val || "");
-      }
-      const unsubscribe = state.onChange(() => {
+      const runner = LiteZ.effect(() => {
         const newVal = LiteZ.evaluate(value, state.get());
         if (attr === "class") {
           if (typeof newVal === "string") el.className = newVal;
@@ -1706,19 +4413,63 @@ const LiteZ = {
           el.setAttribute(attr, newVal || "");
         }
       });
-      el._litez_cleanup = unsubscribe;
+      el._litez_cleanup = runner.stop;
     } catch (e) {
       if (LiteZ.errorHandler) LiteZ.errorHandler(e);
       else console.error("bind directive error:", e);
     }
   });
   
+  // Built-in Filters
+  const currentLocale = () => {
+    LiteZ.track(LiteZ.i18n, "locale");
+    return LiteZ.i18n.locale;
+  };
+  
+  LiteZ.filter("uppercase", (value) => (value === undefined || value === null ? "" : String(value).toLocaleUpperCase(currentLocale())));
+  
+  LiteZ.filter("lowercase", (value) => (value === undefined || value === null ? "" : String(value).toLocaleLowerCase(currentLocale())));
+  
+  LiteZ.filter("date", (value, format = "medium") => {
+    if (value === undefined || value === null || value === "") return "";
+    const date = value instanceof Date ? value : new Date(value);
+    if (isNaN(date.getTime())) return "";
+    const options = typeof format === "string" ? { dateStyle: format } : format;
+    return new Intl.DateTimeFormat(currentLocale(), options).format(date);
+  });
+  
+  LiteZ.filter("number", (value, options = {}) => {
+    const number = Number(value);
+    if (value === undefined || value === null || value === "" || isNaN(number)) return "";
+    const format = typeof options === "number" ? { minimumFractionDigits: options, maximumFractionDigits: options } : options;
+    return new Intl.NumberFormat(currentLocale(), format).format(number);
+  });
+  
+  LiteZ.filter("currency", (value, currency = "USD", options = {}) => {
+    const number = Number(value);
+    if (value === undefined || value === null || value === "" || isNaN(number)) return "";
+    return new Intl.NumberFormat(currentLocale(), { style: "currency", currency, ...options }).format(number);
+  });
+  
+  LiteZ.filter("json", (value, indent = 2) => JSON.stringify(value, null, indent));
+  
+  LiteZ.filter("truncate", (value, length = 30, suffix = "...") => {
+    const text = value === undefined || value === null ? "" : String(value);
+    return text.length > length ? text.slice(0, length).trimEnd() + suffix : text;
+  });
+  
+  LiteZ.filter("pluralize", (count, singular, plural) => {
+    const category = new Intl.PluralRules(currentLocale()).select(Number(count));
+    if (singular && typeof singular === "object") return singular[category] ?? singular.other ?? "";
+    return category === "one" ? singular : plural || `${singular}s`;
+  });
+  
   // Built-in Suspense Component
   LiteZ.component("lite-suspense", {
     template: `
       <div>
-        <slot v-if="!state.loading"></slot>
-        <slot name="fallback" v-else></slot>
+        <slot z-if="!state.loading"></slot>
+        <slot name="fallback" z-else></slot>
       </div>
     `,
     data: () => ({ loading: true }),